@@ -0,0 +1,288 @@
+const net = require('net');
+const readline = require('readline');
+const { CLOSE, closeWS, sendWS } = require('./websocket');
+const { getRoom, listRooms } = require('./rooms');
+const { loadMap, mapExists } = require('./maps');
+const { modeExists, modeSupportsMap } = require('./modes');
+const { metrics } = require('./metrics');
+const { log } = require('./log');
+
+/*
+ * Server administration.
+ *
+ * The same commands can be typed on the server's terminal (see
+ * startConsole) and sent as JSON over HTTP (see server.js). A command
+ * takes named arguments: on the console they are given in order,
+ * separated by spaces, with the last one taking the rest of the line;
+ * over HTTP they are the fields of the JSON body. Commands answer with
+ * a JSON-friendly result, or { error } when they can't be carried out.
+ * The console talks on stderr: stdout is for the structured log alone.
+ *
+ * Players are targeted by id, or by IP address to get everyone on it.
+ * Kicked and banned players are told why (`kicked`) before their
+ * connection is closed, and are removed at once without the usual
+ * reconnect grace period. Bans are by IP address, checked when a
+ * connection is opened, and last until unbanned or a server restart.
+ */
+
+const MAX_MESSAGE_LENGTH = 200; // characters, for `say`
+
+const terminal = new console.Console(process.stderr);
+
+// name -> { args, readOnly, description, run(admin, params) }. Arguments
+// ending in '?' are optional. Read-only commands may also be fetched
+// with a plain GET.
+const COMMANDS = {
+  help: {
+    args: [],
+    readOnly: true,
+    description: 'List the commands',
+    run: () =>
+      Object.entries(COMMANDS).map(([name, command]) => ({ usage: usage(name), description: command.description })),
+  },
+  players: {
+    args: [],
+    readOnly: true,
+    description: 'Everyone connected, with ping and IP address',
+    run: (admin) => admin.players(),
+  },
+  rooms: {
+    args: [],
+    readOnly: true,
+    description: 'Open rooms',
+    run: () => listRooms(),
+  },
+  metrics: {
+    args: [],
+    readOnly: true,
+    description: 'Player counts and traffic',
+    run: () => metrics(),
+  },
+  kick: {
+    args: ['target', 'reason?'],
+    description: 'Disconnect a player (by id) or everyone on an IP address',
+    run: (admin, { target, reason }) => admin.kick(target, reason),
+  },
+  ban: {
+    args: ['target', 'reason?'],
+    description: "Kick, and refuse new connections from the target's IP address",
+    run: (admin, { target, reason }) => admin.ban(target, reason),
+  },
+  unban: {
+    args: ['ip'],
+    description: 'Lift a ban',
+    run: (admin, { ip }) => admin.unban(ip),
+  },
+  bans: {
+    args: [],
+    readOnly: true,
+    description: 'Banned IP addresses',
+    run: (admin) => Array.from(admin.bans, ([ip, ban]) => ({ ip, ...ban })),
+  },
+  map: {
+    args: ['room', 'map'],
+    description: 'Move a room to another map and restart its match',
+    run: (admin, { room, map }) => admin.changeMap(room, map),
+  },
+  mode: {
+    args: ['room', 'mode'],
+    description: 'Switch the game mode of a room and restart its match',
+    run: (admin, { room, mode }) => admin.changeMode(room, mode),
+  },
+  end: {
+    args: ['room'],
+    description: 'End the running match of a room now',
+    run: (admin, { room }) => admin.endMatch(room),
+  },
+  restart: {
+    args: ['room'],
+    description: 'Start the match of a room over from warmup',
+    run: (admin, { room }) => admin.restartMatch(room),
+  },
+  say: {
+    // Over HTTP, `room` limits the message to one room
+    args: ['text'],
+    description: 'Send a server message to every room',
+    run: (admin, { text, room }) => admin.say(text, room),
+  },
+};
+
+function usage(name) {
+  const args = COMMANDS[name].args.map((arg) => (arg.endsWith('?') ? `[${arg.slice(0, -1)}]` : `<${arg}>`));
+  return [name, ...args].join(' ');
+}
+
+class Admin {
+  // `clients` is the server's id -> client map; removeClient(id) takes
+  // a client out of it and out of its room.
+  constructor(clients, removeClient) {
+    this.clients = clients;
+    this.removeClient = removeClient;
+    this.bans = new Map(); // ip -> { reason, at }
+  }
+
+  static hasCommand(name) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, name);
+  }
+
+  static isReadOnly(name) {
+    return Boolean(COMMANDS[name].readOnly);
+  }
+
+  // Run command `name` with named `params`. Missing arguments and
+  // failures come back as { error }.
+  run(name, params = {}) {
+    if (!Admin.hasCommand(name)) return { error: `Unknown command ${name}` };
+    const command = COMMANDS[name];
+    for (const arg of command.args) {
+      if (arg.endsWith('?')) continue;
+      if (params[arg] === undefined || params[arg] === '') return { error: `Usage: ${usage(name)}` };
+    }
+    return command.run(this, params);
+  }
+
+  isBanned(ip) {
+    return this.bans.has(ip);
+  }
+
+  players() {
+    return Array.from(this.clients, ([id, client]) => ({
+      id,
+      name: client.name,
+      room: client.room ? client.room.id : null,
+      ip: client.ip,
+      ping: client.conn ? client.conn.rtt : null, // ms, once the first ping is answered
+      spectator: Boolean(client.spectator),
+      team: client.team || null,
+      kills: client.kills,
+      deaths: client.deaths,
+      // False while waiting for a reconnect
+      connected: Boolean(client.conn && !client.conn.closed),
+    }));
+  }
+
+  // [id, client] for a player id, or for everyone on an IP address
+  findClients(target) {
+    target = String(target);
+    if (/^\d+$/.test(target)) {
+      const client = this.clients.get(Number(target));
+      return client ? [[Number(target), client]] : [];
+    }
+    return Array.from(this.clients).filter(([, client]) => client.ip === target);
+  }
+
+  kick(target, reason = '', banned = false) {
+    const found = this.findClients(target);
+    if (found.length === 0) return { error: `No player ${target}` };
+    reason = String(reason).slice(0, MAX_MESSAGE_LENGTH);
+    for (const [id, client] of found) {
+      log(banned ? 'ban' : 'kick', { id, name: client.name, ip: client.ip, reason });
+      sendWS(client.socket, { type: 'kicked', reason, banned });
+      if (client.conn) closeWS(client.conn, CLOSE.policyViolation, banned ? 'Banned' : 'Kicked');
+      this.removeClient(id);
+    }
+    return { kicked: found.map(([id]) => id) };
+  }
+
+  // Bans an IP address, given directly or as a player id, whether or
+  // not anyone is on it right now
+  ban(target, reason = '') {
+    target = String(target);
+    const found = this.findClients(target);
+    const byId = /^\d+$/.test(target);
+    if (byId && found.length === 0) return { error: `No player ${target}` };
+    if (!byId && !net.isIP(target)) return { error: `Not a player id or IP address: ${target}` };
+    const ip = byId ? found[0][1].ip : target;
+    this.bans.set(ip, { reason: String(reason), at: new Date().toISOString() });
+    // Everyone on the address goes, not just the player named
+    const kicked = this.findClients(ip).length > 0 ? this.kick(ip, reason, true).kicked : [];
+    return { banned: ip, kicked };
+  }
+
+  unban(ip) {
+    if (!this.bans.delete(String(ip))) return { error: `${ip} is not banned` };
+    log('unban', { ip });
+    return { unbanned: ip };
+  }
+
+  changeMap(roomId, map) {
+    const room = getRoom(roomId);
+    if (!room) return { error: `No room ${roomId}` };
+    if (!mapExists(map)) return { error: `Unknown map ${map}` };
+    const mapData = loadMap(map);
+    if (!modeSupportsMap(room.mode.id, mapData)) return { error: `Map ${map} does not support ${room.mode.id}` };
+    room.changeMap(mapData);
+    log('changeMap', { room: room.id, map });
+    return room.summary();
+  }
+
+  changeMode(roomId, mode) {
+    const room = getRoom(roomId);
+    if (!room) return { error: `No room ${roomId}` };
+    if (!modeExists(mode)) return { error: `Unknown mode ${mode}` };
+    if (!modeSupportsMap(mode, room.map)) return { error: `Map ${room.map.id} does not support ${mode}` };
+    room.setMode(mode);
+    room.restartMatch();
+    log('changeMode', { room: room.id, mode });
+    return room.summary();
+  }
+
+  endMatch(roomId) {
+    const room = getRoom(roomId);
+    if (!room) return { error: `No room ${roomId}` };
+    if (room.match.phase !== 'live') return { error: 'The match is not live' };
+    room.endMatch();
+    log('endMatch', { room: room.id });
+    return room.summary();
+  }
+
+  restartMatch(roomId) {
+    const room = getRoom(roomId);
+    if (!room) return { error: `No room ${roomId}` };
+    room.restartMatch();
+    log('restartMatch', { room: room.id });
+    return room.summary();
+  }
+
+  say(text, roomId) {
+    text = String(text).trim().slice(0, MAX_MESSAGE_LENGTH);
+    if (!text) return { error: `Usage: ${usage('say')}` };
+    let rooms = listRooms().map((summary) => getRoom(summary.id));
+    if (roomId !== undefined) {
+      const room = getRoom(roomId);
+      if (!room) return { error: `No room ${roomId}` };
+      rooms = [room];
+    }
+    for (const room of rooms) room.broadcast({ type: 'serverMessage', text });
+    log('say', { rooms: rooms.map((room) => room.id), text });
+    return { rooms: rooms.map((room) => room.id) };
+  }
+
+  // Read commands from the terminal until stdin closes
+  startConsole() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, prompt: 'admin> ' });
+    rl.on('line', (line) => {
+      const [name, ...words] = line.trim().split(/\s+/);
+      if (name) {
+        const args = Admin.hasCommand(name) ? COMMANDS[name].args : [];
+        const params = {};
+        args.forEach((arg, i) => {
+          // The last argument takes the rest of the line
+          const value = i === args.length - 1 ? words.slice(i).join(' ') : words[i];
+          if (value) params[arg.replace('?', '')] = value;
+        });
+        printResult(this.run(name, params));
+      }
+      rl.prompt();
+    });
+    rl.prompt();
+  }
+}
+
+function printResult(result) {
+  if (result && result.error) terminal.log(result.error);
+  else if (Array.isArray(result) && result.length > 0) terminal.table(result);
+  else terminal.log(JSON.stringify(result, null, 2));
+}
+
+module.exports = { Admin };
@@ -0,0 +1,210 @@
+const { raycastObstacles, raycastWorld } = require('./maps');
+
+/*
+ * Server-side AI players.
+ *
+ * A bot is an ordinary room client whose socket goes nowhere. Instead
+ * of reading messages it decides once per tick what to do, and feeds
+ * the result through the same entry points as a human: movement goes
+ * in as inputs to Room.handleInput (so it obeys the shared physics and
+ * the speed checks) and shots go through Room.handleShoot (so fire
+ * rate, ammo, lag compensation and hitboxes all apply). Other clients
+ * can't tell bots from people apart from the name.
+ *
+ * Without a target a bot patrols between random points on the map,
+ * steering around obstacles and picking a new goal when it gets stuck.
+ * Once it can see an enemy it stops, waits its reaction time, then
+ * turns towards them and fires with an aim error that depends on the
+ * difficulty.
+ */
+
+const DIFFICULTIES = {
+  easy: { reactionTime: 0.8, aimError: 0.09, turnSpeed: 3 },
+  normal: { reactionTime: 0.45, aimError: 0.045, turnSpeed: 6 },
+  hard: { reactionTime: 0.2, aimError: 0.015, turnSpeed: 12 },
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+const BOT_NAMES = ['Daan', 'Emma', 'Finn', 'Julia', 'Lars', 'Noor', 'Sem', 'Tess', 'Bram', 'Lotte', 'Milan', 'Sara'];
+// Bots get ids far above the ones server.js hands out to connections
+const BOT_ID_BASE = 0x40000000;
+
+const VIEW_DISTANCE = 40; // m
+const WAYPOINT_REACHED = 1.5; // m
+const STUCK_TIME = 1; // s without progress before picking a new waypoint
+const AVOID_DISTANCE = 2; // m, look-ahead for obstacles in the way
+const AIM_HEIGHT = 0.4; // m below the eyes: centre of the torso
+
+let nextBotId = BOT_ID_BASE;
+
+// Stand-in socket for sendWS: bots don't read messages
+const nullSocket = { destroyed: false, writableEnded: false, write() {} };
+
+function wrapAngle(a) {
+  while (a > Math.PI) a -= 2 * Math.PI;
+  while (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+
+// Yaw/pitch that look from `from` towards `to` (same conventions as
+// the shared movement code: yaw 0 looks down -z)
+function anglesTowards(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+  return { yaw: Math.atan2(-dx, -dz), pitch: Math.atan2(dy, Math.hypot(dx, dz)) };
+}
+
+function directionFromAngles(yaw, pitch) {
+  return {
+    x: -Math.sin(yaw) * Math.cos(pitch),
+    y: Math.sin(pitch),
+    z: -Math.cos(yaw) * Math.cos(pitch),
+  };
+}
+
+// Turn `current` towards `target` by at most `maxStep` radians
+function turnTowards(current, target, maxStep) {
+  const diff = wrapAngle(target - current);
+  return wrapAngle(current + Math.max(-maxStep, Math.min(maxStep, diff)));
+}
+
+class Bot {
+  constructor(room, difficulty = DEFAULT_DIFFICULTY) {
+    this.room = room;
+    this.id = nextBotId++;
+    this.difficulty = DIFFICULTIES[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+    this.client = { socket: nullSocket, bot: true, binary: false };
+    this.seq = 0;
+    this.lastUpdate = Date.now();
+    this.waypoint = null;
+    this.lastProgress = { t: 0, distance: Infinity };
+    this.target = null; // id of the enemy being engaged
+    this.targetSeenAt = 0;
+    this.strafe = 1;
+  }
+
+  static pickName(room) {
+    const taken = new Set(Array.from(room.clients.values(), (c) => c.name));
+    const free = BOT_NAMES.filter((name) => !taken.has(`Bot ${name}`));
+    const name = free.length ? free[Math.floor(Math.random() * free.length)] : String(nextBotId - BOT_ID_BASE);
+    return `Bot ${name}`;
+  }
+
+  // Think and act for one tick
+  update(now) {
+    const dt = Math.min((now - this.lastUpdate) / 1000, 0.1);
+    this.lastUpdate = now;
+    const state = this.client.state;
+    if (!state || this.client.dead || this.room.match.phase === 'post') return;
+
+    const settings = DIFFICULTIES[this.difficulty];
+    const enemy = this.findTarget(now);
+    let input;
+    if (enemy) {
+      input = this.engage(enemy, now, dt, settings);
+    } else {
+      input = this.patrol(now, dt, settings);
+    }
+    this.room.handleInput(this.id, [{ seq: ++this.seq, dt, jump: false, crouch: false, slide: false, ...input }]);
+  }
+
+  // Nearest enemy in view, remembering when we first saw them
+  findTarget(now) {
+    const me = this.client;
+    let best = null;
+    let bestDistance = VIEW_DISTANCE;
+    for (const [id, other] of this.room.clients) {
+      if (other === me || other.dead || !this.room.mode.canDamage(me, other)) continue;
+      const distance = Math.hypot(other.state.x - me.state.x, other.state.y - me.state.y, other.state.z - me.state.z);
+      if (distance < bestDistance && this.canSee(other.state, distance)) {
+        best = id;
+        bestDistance = distance;
+      }
+    }
+    if (best !== this.target) {
+      this.target = best;
+      this.targetSeenAt = now;
+    }
+    return best === null ? null : this.room.clients.get(best);
+  }
+
+  canSee(target, distance) {
+    const eye = this.client.state;
+    const dir = {
+      x: (target.x - eye.x) / distance,
+      y: (target.y - eye.y) / distance,
+      z: (target.z - eye.z) / distance,
+    };
+    return raycastWorld(this.room.world, eye, dir) >= distance;
+  }
+
+  engage(enemy, now, dt, settings) {
+    const state = this.client.state;
+    const aimPoint = { x: enemy.state.x, y: enemy.state.y - AIM_HEIGHT, z: enemy.state.z };
+    const wanted = anglesTowards(state, aimPoint);
+    const maxStep = settings.turnSpeed * dt;
+    const yaw = turnTowards(state.yaw, wanted.yaw, maxStep);
+    const pitch = turnTowards(state.pitch, wanted.pitch, maxStep);
+    const onTarget = Math.abs(wrapAngle(wanted.yaw - yaw)) < 0.1;
+    if (onTarget && now - this.targetSeenAt >= settings.reactionTime * 1000) {
+      // Aim error: a random offset in both directions
+      const error = () => (Math.random() * 2 - 1) * settings.aimError;
+      const direction = directionFromAngles(yaw + error(), pitch + error());
+      this.room.handleShoot(this.id, { x: state.x, y: state.y, z: state.z }, direction, now);
+    }
+    // Dodge sideways while fighting
+    if (Math.random() < dt) this.strafe = -this.strafe;
+    return { forward: 0, strafe: this.strafe, yaw, pitch };
+  }
+
+  patrol(now, dt, settings) {
+    const state = this.client.state;
+    if (!this.waypoint) this.pickWaypoint(now);
+    let distance = Math.hypot(this.waypoint.x - state.x, this.waypoint.z - state.z);
+    if (distance < WAYPOINT_REACHED) {
+      this.pickWaypoint(now);
+      distance = Math.hypot(this.waypoint.x - state.x, this.waypoint.z - state.z);
+    }
+    // Give up on waypoints we stop getting closer to
+    if (distance < this.lastProgress.distance - 0.5) {
+      this.lastProgress = { t: now, distance };
+    } else if (now - this.lastProgress.t > STUCK_TIME * 1000) {
+      this.pickWaypoint(now);
+    }
+    const wanted = anglesTowards(state, { x: this.waypoint.x, y: state.y, z: this.waypoint.z });
+    const yaw = turnTowards(state.yaw, wanted.yaw, settings.turnSpeed * dt);
+    const pitch = turnTowards(state.pitch, 0, settings.turnSpeed * dt);
+    // Something in the way at knee height: sidestep while walking on
+    const ahead = directionFromAngles(yaw, 0);
+    const knee = { x: state.x, y: 0.5, z: state.z };
+    const blocked = raycastObstacles(this.room.world.boxes, knee, ahead) < AVOID_DISTANCE;
+    return { forward: 1, strafe: blocked ? this.strafe : 0, yaw, pitch };
+  }
+
+  // A random point on the floor that isn't inside an obstacle
+  pickWaypoint(now) {
+    const { floor } = this.room.map;
+    const { boxes } = this.room.world;
+    const margin = 2;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const point = {
+        x: (Math.random() - 0.5) * (floor.width - 2 * margin),
+        z: (Math.random() - 0.5) * (floor.depth - 2 * margin),
+      };
+      const inside = boxes.some(
+        (b) =>
+          point.x > b.min.x - 1 && point.x < b.max.x + 1 && point.z > b.min.z - 1 && point.z < b.max.z + 1,
+      );
+      if (!inside) {
+        this.waypoint = point;
+        break;
+      }
+    }
+    if (!this.waypoint) this.waypoint = { x: 0, z: 0 };
+    this.lastProgress = { t: now, distance: Infinity };
+    this.strafe = Math.random() < 0.5 ? -1 : 1;
+  }
+}
+
+module.exports = { Bot, DEFAULT_DIFFICULTY, DIFFICULTIES };
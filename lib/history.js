@@ -0,0 +1,56 @@
+/*
+ * Fixed-size ring buffer of timestamped player positions.
+ *
+ * Rooms record every player's position and stance once per tick. Hit
+ * detection uses `sample()` to look up where a target was at the
+ * moment the shooter fired, as seen on the shooter's screen.
+ */
+class PositionHistory {
+  constructor(size) {
+    this.entries = new Array(size);
+    this.next = 0; // index the next record() writes to
+    this.count = 0;
+  }
+
+  record(t, state) {
+    this.entries[this.next] = { t, x: state.x, y: state.y, z: state.z, crouching: !!state.crouching };
+    this.next = (this.next + 1) % this.entries.length;
+    this.count = Math.min(this.count + 1, this.entries.length);
+  }
+
+  // Entry `i` counted back from the newest (0 = newest)
+  at(i) {
+    const size = this.entries.length;
+    return this.entries[(this.next - 1 - i + size) % size];
+  }
+
+  clear() {
+    this.count = 0;
+  }
+
+  // Position at time `t`, interpolated between the two records around
+  // it. Times outside the recorded window clamp to the oldest/newest
+  // record. Returns null when nothing has been recorded yet.
+  sample(t) {
+    if (this.count === 0) return null;
+    let newer = this.at(0);
+    if (t >= newer.t) return newer;
+    for (let i = 1; i < this.count; i++) {
+      const older = this.at(i);
+      if (older.t <= t) {
+        const f = (t - older.t) / (newer.t - older.t);
+        return {
+          t,
+          x: older.x + (newer.x - older.x) * f,
+          y: older.y + (newer.y - older.y) * f,
+          z: older.z + (newer.z - older.z) * f,
+          crouching: (f < 0.5 ? older : newer).crouching,
+        };
+      }
+      newer = older;
+    }
+    return newer;
+  }
+}
+
+module.exports = { PositionHistory };
@@ -0,0 +1,54 @@
+const { shared } = require('./shared');
+const { raycastObstacles } = require('./maps');
+
+/*
+ * Per-player hitboxes for hit detection.
+ *
+ * A player is a stack of axis-aligned boxes around their eye position:
+ * head, torso and legs, each with its own damage multiplier. The stack
+ * is measured from the feet, which sit one eye height below `y`, so it
+ * shrinks when the player crouches. Boxes don't rotate with the yaw;
+ * at these sizes that is not noticeable.
+ */
+
+const HITBOXES = {
+  head: { multiplier: 2, halfWidth: 0.15 },
+  torso: { multiplier: 1, halfWidth: 0.25 },
+  legs: { multiplier: 0.75, halfWidth: 0.2 },
+};
+
+// Height of the waist above the feet, where torso and legs meet
+const WAIST_HEIGHT = { standing: 0.85, crouching: 0.45 };
+const HEAD_SIZE = 0.3; // the head box is centered on the eyes
+
+// Boxes for a player at `pos` ({ x, y, z, crouching }), in world space
+function hitboxesAt(pos) {
+  const { STAND_HEIGHT, CROUCH_HEIGHT } = shared.movement;
+  const feet = pos.y - (pos.crouching ? CROUCH_HEIGHT : STAND_HEIGHT);
+  const waist = feet + WAIST_HEIGHT[pos.crouching ? 'crouching' : 'standing'];
+  const neck = pos.y - HEAD_SIZE / 2;
+  const box = (part, bottom, top) => {
+    const w = HITBOXES[part].halfWidth;
+    return {
+      part,
+      min: { x: pos.x - w, y: bottom, z: pos.z - w },
+      max: { x: pos.x + w, y: top, z: pos.z + w },
+    };
+  };
+  return [box('head', neck, pos.y + HEAD_SIZE / 2), box('torso', waist, neck), box('legs', feet, waist)];
+}
+
+// Nearest hitbox of the player at `pos` that the ray hits within
+// `maxDist`. Returns { part, distance, multiplier } or null.
+function raycastHitboxes(pos, origin, direction, maxDist) {
+  let best = null;
+  for (const box of hitboxesAt(pos)) {
+    const distance = raycastObstacles([box], origin, direction);
+    if (distance <= maxDist && (!best || distance < best.distance)) {
+      best = { part: box.part, distance, multiplier: HITBOXES[box.part].multiplier };
+    }
+  }
+  return best;
+}
+
+module.exports = { HITBOXES, hitboxesAt, raycastHitboxes };
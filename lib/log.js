@@ -0,0 +1,21 @@
+/*
+ * Structured logging.
+ *
+ * Every event is one line of JSON on stdout: the time, an event name
+ * and whatever fields describe it, e.g.
+ *
+ *   {"time":"2025-01-01T12:00:00.000Z","event":"kill","room":1,...}
+ *
+ * so the log can be read as it scrolls by and fed to a log collector
+ * without parsing free text. LOG=off silences it, for tests that run
+ * rooms in-process.
+ */
+
+const ENABLED = process.env.LOG !== 'off';
+
+function log(event, fields = {}) {
+  if (!ENABLED) return;
+  console.log(JSON.stringify({ time: new Date().toISOString(), event, ...fields }));
+}
+
+module.exports = { log };
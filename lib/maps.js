@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Map loading.
+ *
+ * Maps are JSON files in public/maps so the browser can fetch exactly
+ * the same file the server uses for collision, line-of-sight checks
+ * and spawn selection. A map looks like:
+ *
+ *   {
+ *     "name": "Warehouse",
+ *     "background": "#202020",
+ *     "floor": { "width": 50, "depth": 50, "color": "#444444" },
+ *     "lighting": {
+ *       "ambient": { "color": "#ffffff", "intensity": 0.4 },
+ *       "directional": { "color": "#ffffff", "intensity": 0.6, "position": { "x": 5, "y": 10, "z": 7 } }
+ *     },
+ *     "obstacles": [{ "position": { "x": 0, "y": 1, "z": 0 }, "size": { "x": 3, "y": 2, "z": 1 }, "color": "#556b2f" }],
+ *     "ramps": [{ "position": { "x": 0, "y": 0.5, "z": 4 }, "size": { "x": 2, "y": 1, "z": 3 }, "rise": "-z" }],
+ *     "spawns": [{ "x": 0, "z": 0, "yaw": 0 }],
+ *     "teamSpawns": { "red": [{ "x": 0, "z": -20, "yaw": 3.14 }], "blue": [{ "x": 0, "z": 20, "yaw": 0 }] },
+ *     "flags": { "red": { "x": 0, "z": -22 }, "blue": { "x": 0, "z": 22 } }
+ *   }
+ *
+ * Obstacle positions are box centers; `size` is the full extent on
+ * each axis. Players can stand on obstacles and walk up ramps. A ramp
+ * fills the lower half of its box along a slope that climbs in the
+ * `rise` direction ('+x', '-x', '+z' or '-z'). Bullets and lines of
+ * sight are stopped by the same shapes players collide with: the
+ * collision world the shared movement code builds from the map.
+ * The floor's edges are walls. Spawn points are on the floor and `yaw`
+ * is the direction the player faces. `ramps`, `teamSpawns` (team modes)
+ * and `flags` (Capture the Flag) are optional.
+ */
+
+const MAPS_DIR = path.join(__dirname, '..', 'public', 'maps');
+const DEFAULT_MAP = 'default';
+
+const cache = new Map(); // name -> parsed map
+
+function isVector(v, keys = ['x', 'y', 'z']) {
+  return v && keys.every((k) => typeof v[k] === 'number' && Number.isFinite(v[k]));
+}
+
+function validateMap(map, name) {
+  const fail = (reason) => {
+    throw new Error(`Invalid map "${name}": ${reason}`);
+  };
+  if (!map.floor || !(map.floor.width > 0) || !(map.floor.depth > 0)) fail('floor needs a positive width and depth');
+  if (!Array.isArray(map.obstacles)) fail('obstacles must be an array');
+  map.obstacles.forEach((o, i) => {
+    if (!isVector(o.position) || !isVector(o.size)) fail(`obstacle ${i} needs a position and size`);
+  });
+  if (map.ramps !== undefined && !Array.isArray(map.ramps)) fail('ramps must be an array');
+  (map.ramps || []).forEach((r, i) => {
+    if (!isVector(r.position) || !isVector(r.size)) fail(`ramp ${i} needs a position and size`);
+    if (!['+x', '-x', '+z', '-z'].includes(r.rise)) fail(`ramp ${i} needs a rise of +x, -x, +z or -z`);
+  });
+  if (!Array.isArray(map.spawns) || map.spawns.length === 0) fail('at least one spawn point is required');
+  map.spawns.forEach((s, i) => {
+    if (!isVector(s, ['x', 'z'])) fail(`spawn ${i} needs x and z`);
+  });
+  for (const [team, spawns] of Object.entries(map.teamSpawns || {})) {
+    if (!Array.isArray(spawns) || spawns.length === 0) fail(`team ${team} needs at least one spawn point`);
+    spawns.forEach((s, i) => {
+      if (!isVector(s, ['x', 'z'])) fail(`team ${team} spawn ${i} needs x and z`);
+    });
+  }
+  for (const [team, flag] of Object.entries(map.flags || {})) {
+    if (!isVector(flag, ['x', 'z'])) fail(`flag ${team} needs x and z`);
+  }
+}
+
+function mapExists(name) {
+  return /^[a-z0-9_-]+$/i.test(name) && fs.existsSync(path.join(MAPS_DIR, `${name}.json`));
+}
+
+// Load and validate a map by name. Maps are read once and cached; an
+// invalid file throws so a broken map is caught at room creation.
+function loadMap(name = DEFAULT_MAP) {
+  if (cache.has(name)) return cache.get(name);
+  if (!mapExists(name)) throw new Error(`Unknown map "${name}"`);
+  const map = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, `${name}.json`), 'utf8'));
+  validateMap(map, name);
+  map.id = name;
+  cache.set(name, map);
+  return map;
+}
+
+// Where a ray is inside `box` ({ min, max }): { tMin, tMax } as
+// distances along it, or null when it misses. Slab method.
+function rayThroughBox(box, origin, direction) {
+  let tMin = 0;
+  let tMax = Infinity;
+  for (const axis of ['x', 'y', 'z']) {
+    const o = origin[axis];
+    const d = direction[axis];
+    if (Math.abs(d) < 1e-9) {
+      if (o < box.min[axis] || o > box.max[axis]) return null;
+      continue;
+    }
+    let t1 = (box.min[axis] - o) / d;
+    let t2 = (box.max[axis] - o) / d;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return { tMin, tMax };
+}
+
+// Distance along a ray to the nearest of `boxes`, or Infinity when the
+// ray hits nothing. `direction` must be normalized.
+function raycastObstacles(boxes, origin, direction) {
+  let nearest = Infinity;
+  for (const box of boxes) {
+    const hit = rayThroughBox(box, origin, direction);
+    if (hit && hit.tMin < nearest) nearest = hit.tMin;
+  }
+  return nearest;
+}
+
+// Distance along a ray into a ramp: the part of its box under the
+// slope, which rises from min.y at the low end to max.y at the high end
+function raycastRamp(ramp, origin, direction) {
+  const hit = rayThroughBox(ramp, origin, direction);
+  if (!hit) return Infinity;
+  let { tMin, tMax } = hit;
+  const axis = ramp.rise[1];
+  const up = ramp.rise[0] === '+';
+  const low = up ? ramp.min[axis] : ramp.max[axis];
+  const climb = ((ramp.max.y - ramp.min.y) / (ramp.max[axis] - ramp.min[axis])) * (up ? 1 : -1);
+  // Height above the slope's plane, at the origin and per metre along the ray
+  const above = origin.y - ramp.min.y - (origin[axis] - low) * climb;
+  const rate = direction.y - direction[axis] * climb;
+  if (Math.abs(rate) < 1e-9) {
+    if (above > 0) return Infinity;
+  } else if (rate > 0) {
+    tMax = Math.min(tMax, -above / rate);
+  } else {
+    tMin = Math.max(tMin, -above / rate);
+  }
+  return tMin <= tMax ? tMin : Infinity;
+}
+
+// Distance along a ray to the first obstacle or ramp of a collision
+// world (see createCollisionWorld in the shared movement code)
+function raycastWorld(world, origin, direction) {
+  let nearest = raycastObstacles(world.boxes, origin, direction);
+  for (const ramp of world.ramps) nearest = Math.min(nearest, raycastRamp(ramp, origin, direction));
+  return nearest;
+}
+
+module.exports = { DEFAULT_MAP, loadMap, mapExists, raycastObstacles, raycastWorld };
@@ -0,0 +1,92 @@
+const { stats } = require('./websocket');
+const { listRooms } = require('./rooms');
+
+/*
+ * Server metrics: who is playing, how much traffic that takes and what
+ * it costs the server in CPU time and memory.
+ *
+ * Totals come straight from the WebSocket layer's counters. Rates are
+ * averaged over the last RATE_WINDOW seconds from a sample of those
+ * counters taken every second, so a burst doesn't make them jump.
+ * metrics() returns them as an object (for the admin API and console);
+ * formatMetrics() renders that in the Prometheus text format for
+ * `/metrics`.
+ */
+
+const RATE_WINDOW = 10; // seconds
+const startedAt = Date.now();
+const samples = []; // { at, messagesIn, messagesOut, bytesIn, bytesOut }, oldest first
+let sampler = null;
+
+function startMetrics() {
+  if (sampler) return;
+  sample();
+  sampler = setInterval(sample, 1000);
+  // Never the reason the process stays up
+  sampler.unref();
+}
+
+function sample() {
+  samples.push({ at: Date.now(), ...stats });
+  while (samples.length > RATE_WINDOW + 1) samples.shift();
+}
+
+// Per second, from the oldest sample up to now
+function rate(key) {
+  const oldest = samples[0];
+  const seconds = oldest ? (Date.now() - oldest.at) / 1000 : 0;
+  if (seconds <= 0) return 0;
+  return Math.round(((stats[key] - oldest[key]) / seconds) * 10) / 10;
+}
+
+function metrics() {
+  const rooms = listRooms();
+  const sum = (key) => rooms.reduce((total, room) => total + room[key], 0);
+  const cpu = process.cpuUsage();
+  return {
+    uptime: Math.floor((Date.now() - startedAt) / 1000),
+    rooms: rooms.length,
+    players: sum('players'),
+    bots: sum('bots'),
+    spectators: sum('spectators'),
+    messagesIn: stats.messagesIn,
+    messagesOut: stats.messagesOut,
+    bytesIn: stats.bytesIn,
+    bytesOut: stats.bytesOut,
+    messagesInPerSecond: rate('messagesIn'),
+    messagesOutPerSecond: rate('messagesOut'),
+    bytesInPerSecond: rate('bytesIn'),
+    bytesOutPerSecond: rate('bytesOut'),
+    cpuSeconds: (cpu.user + cpu.system) / 1e6,
+    memoryBytes: process.memoryUsage().rss,
+  };
+}
+
+// metrics() key -> [Prometheus name, type, help]
+const PROMETHEUS = {
+  uptime: ['fps_uptime_seconds', 'counter', 'Seconds since the server started'],
+  rooms: ['fps_rooms', 'gauge', 'Open rooms'],
+  players: ['fps_players', 'gauge', 'Players in a room, bots not included'],
+  bots: ['fps_bots', 'gauge', 'Bots in a room'],
+  spectators: ['fps_spectators', 'gauge', 'Spectators in a room'],
+  messagesIn: ['fps_messages_received_total', 'counter', 'WebSocket messages received'],
+  messagesOut: ['fps_messages_sent_total', 'counter', 'WebSocket messages sent'],
+  bytesIn: ['fps_bytes_received_total', 'counter', 'WebSocket bytes received, frame headers included'],
+  bytesOut: ['fps_bytes_sent_total', 'counter', 'WebSocket bytes sent, frame headers included'],
+  messagesInPerSecond: ['fps_messages_received_per_second', 'gauge', `Messages received, ${RATE_WINDOW}s average`],
+  messagesOutPerSecond: ['fps_messages_sent_per_second', 'gauge', `Messages sent, ${RATE_WINDOW}s average`],
+  bytesInPerSecond: ['fps_bytes_received_per_second', 'gauge', `Bytes received, ${RATE_WINDOW}s average`],
+  bytesOutPerSecond: ['fps_bytes_sent_per_second', 'gauge', `Bytes sent, ${RATE_WINDOW}s average`],
+  cpuSeconds: ['process_cpu_seconds_total', 'counter', 'User and system CPU time spent'],
+  memoryBytes: ['process_resident_memory_bytes', 'gauge', 'Resident memory size'],
+};
+
+function formatMetrics(values) {
+  const lines = [];
+  for (const [key, [name, type, help]] of Object.entries(PROMETHEUS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${values[key]}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { formatMetrics, metrics, startMetrics };
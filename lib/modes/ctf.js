@@ -0,0 +1,135 @@
+const { TEAMS, TeamMode } = require('./tdm');
+
+/*
+ * Capture the Flag.
+ *
+ * Each team has a flag at its base (the map's `flags`). Touching the
+ * enemy flag picks it up; bringing it to your own flag while that one
+ * is at home scores a capture. A carrier who dies or leaves drops the
+ * flag where they stood. Touching your own dropped flag returns it,
+ * and a dropped flag that nobody touches returns by itself after
+ * FLAG_RETURN_TIME.
+ *
+ * Every change is announced with a `flagEvent` (pickup, drop, capture
+ * or return) followed by the new `modeState`.
+ */
+
+const CTF_CAPTURE_LIMIT = Number(process.env.CTF_CAPTURE_LIMIT) || 3;
+const FLAG_RADIUS = 1.5; // m, horizontal reach for touching a flag
+const FLAG_RETURN_TIME = 30; // s
+
+class CaptureTheFlag extends TeamMode {
+  constructor(room) {
+    super(room, CTF_CAPTURE_LIMIT);
+    this.id = 'ctf';
+    this.flags = {};
+    for (const team of TEAMS) {
+      const home = room.map.flags[team];
+      this.flags[team] = { team, home, x: home.x, z: home.z, carrier: null, droppedAt: 0 };
+    }
+  }
+
+  // Only maps with a flag for each team can host this mode
+  static supportsMap(map) {
+    return Boolean(map.flags && TEAMS.every((team) => map.flags[team]));
+  }
+
+  onRoundStart() {
+    for (const flag of Object.values(this.flags)) this.returnFlag(flag, null, false);
+    super.onRoundStart();
+  }
+
+  onLeave(id) {
+    const flag = this.carriedBy(id);
+    if (flag) this.dropFlag(flag, id);
+  }
+
+  onKill(killerId, victimId) {
+    const flag = this.carriedBy(victimId);
+    if (flag) this.dropFlag(flag, victimId);
+  }
+
+  carriedBy(id) {
+    return Object.values(this.flags).find((flag) => flag.carrier === id) || null;
+  }
+
+  isHome(flag) {
+    return flag.carrier === null && flag.x === flag.home.x && flag.z === flag.home.z;
+  }
+
+  onTick(now) {
+    if (this.room.match.phase === 'post') return;
+    for (const flag of Object.values(this.flags)) {
+      if (flag.carrier !== null) {
+        const carrier = this.room.clients.get(flag.carrier);
+        flag.x = carrier.state.x;
+        flag.z = carrier.state.z;
+        continue;
+      }
+      if (!this.isHome(flag) && now - flag.droppedAt >= FLAG_RETURN_TIME * 1000) {
+        this.returnFlag(flag, null);
+        continue;
+      }
+      for (const [id, client] of this.room.clients) {
+        // The dead lie where they dropped the flag; they can't touch it
+        if (client.dead) continue;
+        if (Math.hypot(client.state.x - flag.x, client.state.z - flag.z) > FLAG_RADIUS) continue;
+        if (client.team !== flag.team) {
+          this.pickUpFlag(flag, id);
+          break;
+        }
+        if (!this.isHome(flag)) {
+          this.returnFlag(flag, id);
+          break;
+        }
+        const enemyFlag = this.carriedBy(id);
+        if (enemyFlag) {
+          this.captureFlag(enemyFlag, id, client);
+          break;
+        }
+      }
+    }
+  }
+
+  pickUpFlag(flag, id) {
+    flag.carrier = id;
+    this.announce('pickup', flag, id);
+  }
+
+  dropFlag(flag, id) {
+    const carrier = this.room.clients.get(id);
+    if (carrier) {
+      flag.x = carrier.state.x;
+      flag.z = carrier.state.z;
+    }
+    flag.carrier = null;
+    flag.droppedAt = Date.now();
+    this.announce('drop', flag, id);
+  }
+
+  returnFlag(flag, id, announce = true) {
+    flag.carrier = null;
+    flag.x = flag.home.x;
+    flag.z = flag.home.z;
+    if (announce) this.announce('return', flag, id);
+  }
+
+  captureFlag(flag, id, client) {
+    this.returnFlag(flag, id, false);
+    this.room.broadcast({ type: 'flagEvent', event: 'capture', team: flag.team, player: id });
+    // Sends the new modeState
+    this.addScore(client.team);
+  }
+
+  announce(event, flag, player) {
+    this.room.broadcast({ type: 'flagEvent', event, team: flag.team, player });
+    this.room.broadcastModeState();
+  }
+
+  state() {
+    const flags = Object.values(this.flags).map(({ team, x, z, carrier }) => ({ team, x, z, carrier }));
+    return { ...super.state(), flags };
+  }
+}
+
+module.exports = { CaptureTheFlag };
@@ -0,0 +1,65 @@
+/*
+ * Free-for-all, and the base class for every game mode.
+ *
+ * A room hands everything that differs between modes to its mode
+ * object: teams, friendly fire, spawns, scoring and win conditions.
+ * Modes extend FreeForAll and override the hooks they need:
+ *
+ *   onJoin(id, client)          before the player's first spawn
+ *   onLeave(id, client)         after the player has been removed
+ *   onRoundStart()              the round goes live; reset scores
+ *   canDamage(attacker, victim) false to turn friendly fire off
+ *   spawnPoints(client)         spawns to choose from for a respawn
+ *   onKill(killerId, victimId)  after a kill is counted, before the
+ *                               victim respawns
+ *   onTick(now)                 once per simulation tick
+ *   results()                   { results, teams, winner } at round end
+ *   state()                     mode state sent to clients as `modeState`
+ */
+class FreeForAll {
+  constructor(room) {
+    this.room = room;
+    this.id = 'ffa';
+    this.teams = null; // team id -> score, in team modes
+  }
+
+  onJoin() {}
+
+  onLeave() {}
+
+  onRoundStart() {}
+
+  canDamage() {
+    return true;
+  }
+
+  spawnPoints() {
+    return this.room.map.spawns;
+  }
+
+  onKill() {}
+
+  onTick() {}
+
+  results() {
+    const results = [];
+    for (const [id, client] of this.room.clients) {
+      results.push({ id, name: client.name, team: client.team, kills: client.kills, deaths: client.deaths });
+    }
+    results.sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+    return { results, teams: this.teams, winner: this.winner(results) };
+  }
+
+  // Player id, or team id in team modes; null for a draw
+  winner(results) {
+    const [first, second] = results;
+    if (!first || (second && second.kills === first.kills)) return null;
+    return first.id;
+  }
+
+  state() {
+    return { mode: this.id, teams: this.teams };
+  }
+}
+
+module.exports = { FreeForAll };
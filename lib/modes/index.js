@@ -0,0 +1,32 @@
+const { FreeForAll } = require('./ffa');
+const { TeamDeathmatch } = require('./tdm');
+const { CaptureTheFlag } = require('./ctf');
+
+/*
+ * Game mode registry. Rooms pick a mode by id when they are created;
+ * see ffa.js for the hooks a mode implements.
+ */
+
+const MODES = {
+  ffa: FreeForAll,
+  tdm: TeamDeathmatch,
+  ctf: CaptureTheFlag,
+};
+
+const DEFAULT_MODE = 'ffa';
+
+function modeExists(id) {
+  return Object.prototype.hasOwnProperty.call(MODES, id);
+}
+
+// Whether `map` has what mode `id` needs (e.g. flags for CTF)
+function modeSupportsMap(id, map) {
+  const Mode = MODES[id];
+  return !Mode.supportsMap || Mode.supportsMap(map);
+}
+
+function createMode(id, room) {
+  return new MODES[id](room);
+}
+
+module.exports = { DEFAULT_MODE, createMode, modeExists, modeSupportsMap };
@@ -0,0 +1,103 @@
+const { FreeForAll } = require('./ffa');
+
+/*
+ * Team modes.
+ *
+ * TeamMode puts every player in one of two teams, keeps the teams
+ * balanced, turns friendly fire off and spawns players at their team's
+ * spawn points (the map's `teamSpawns`, or all spawns when it has
+ * none). The round ends when a team reaches `scoreLimit` or when the
+ * clock runs out, whichever comes first.
+ *
+ * Team Deathmatch scores one point per kill.
+ */
+
+const TEAMS = ['red', 'blue'];
+const TDM_SCORE_LIMIT = Number(process.env.TDM_SCORE_LIMIT) || 50;
+
+class TeamMode extends FreeForAll {
+  constructor(room, scoreLimit) {
+    super(room);
+    this.scoreLimit = scoreLimit;
+    this.teams = { red: 0, blue: 0 };
+  }
+
+  teamSizes() {
+    const sizes = { red: 0, blue: 0 };
+    for (const client of this.room.clients.values()) {
+      if (client.team) sizes[client.team]++;
+    }
+    return sizes;
+  }
+
+  // Join the smaller team; on a tie, the one that is behind
+  onJoin(id, client) {
+    const sizes = this.teamSizes();
+    client.team = TEAMS.reduce((best, team) => {
+      if (sizes[team] !== sizes[best]) return sizes[team] < sizes[best] ? team : best;
+      return this.teams[team] < this.teams[best] ? team : best;
+    });
+  }
+
+  // Leaving can unbalance the teams; that is fixed at the next round
+  // rather than by moving players mid-round.
+  onRoundStart() {
+    this.teams = { red: 0, blue: 0 };
+    this.rebalance();
+    this.room.broadcastModeState();
+  }
+
+  rebalance() {
+    const sizes = this.teamSizes();
+    // Move the most recent joiners off the bigger team
+    const ids = Array.from(this.room.clients.keys()).reverse();
+    for (const id of ids) {
+      const bigger = sizes.red > sizes.blue ? 'red' : 'blue';
+      const smaller = bigger === 'red' ? 'blue' : 'red';
+      if (sizes[bigger] - sizes[smaller] <= 1) break;
+      const client = this.room.clients.get(id);
+      if (client.team !== bigger) continue;
+      client.team = smaller;
+      sizes[bigger]--;
+      sizes[smaller]++;
+      this.room.broadcast({ type: 'teamChanged', id, team: smaller });
+    }
+  }
+
+  canDamage(attacker, victim) {
+    return attacker.team !== victim.team;
+  }
+
+  spawnPoints(client) {
+    const teamSpawns = this.room.map.teamSpawns;
+    return (teamSpawns && teamSpawns[client.team]) || this.room.map.spawns;
+  }
+
+  addScore(team, points = 1) {
+    this.teams[team] += points;
+    this.room.broadcastModeState();
+    if (this.room.match.phase === 'live' && this.teams[team] >= this.scoreLimit) this.room.endMatch();
+  }
+
+  winner() {
+    if (this.teams.red === this.teams.blue) return null;
+    return this.teams.red > this.teams.blue ? 'red' : 'blue';
+  }
+
+  state() {
+    return { mode: this.id, teams: this.teams, scoreLimit: this.scoreLimit };
+  }
+}
+
+class TeamDeathmatch extends TeamMode {
+  constructor(room) {
+    super(room, TDM_SCORE_LIMIT);
+    this.id = 'tdm';
+  }
+
+  onKill(killerId) {
+    this.addScore(this.room.clients.get(killerId).team);
+  }
+}
+
+module.exports = { TEAMS, TeamMode, TeamDeathmatch };
@@ -0,0 +1,71 @@
+const { shared } = require('./shared');
+
+/*
+ * Server-side movement.
+ *
+ * Clients send their raw inputs and predict the result locally; the
+ * server replays the same inputs through the shared physics in
+ * public/shared/movement.mjs to get the authoritative position. That
+ * alone rules out teleporting, flying and walking through walls, so
+ * what is left to check here is the input itself: its values, and that
+ * a client does not claim more simulated time than has really passed
+ * (a speed hack).
+ */
+
+// Simulated time a client can bank ahead of real time, to absorb
+// network jitter that delivers inputs in bursts.
+const MAX_TIME_BUDGET = 0.25; // s
+
+function createPhysics(state, now = Date.now()) {
+  const physics = shared.movement.createMoveState(state.x, state.y, state.z);
+  physics.timeBudget = 0;
+  physics.lastInput = now;
+  return physics;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clampAxis(value) {
+  return isFiniteNumber(value) ? Math.max(-1, Math.min(1, Math.round(value))) : 0;
+}
+
+// Turn an untrusted input into one the physics can run, or null when
+// it is unusable.
+function sanitizeInput(raw) {
+  if (!raw || !Number.isInteger(raw.seq) || !isFiniteNumber(raw.dt)) return null;
+  const { yaw, pitch } = sanitizeAngles(raw.yaw, raw.pitch);
+  return {
+    seq: raw.seq,
+    dt: Math.min(Math.max(raw.dt, 0), shared.movement.MAX_INPUT_DT),
+    forward: clampAxis(raw.forward),
+    strafe: clampAxis(raw.strafe),
+    jump: raw.jump === true,
+    crouch: raw.crouch === true,
+    slide: raw.slide === true,
+    yaw,
+    pitch,
+  };
+}
+
+// Clamp look angles to what PointerLockControls can produce
+function sanitizeAngles(yaw, pitch) {
+  return {
+    yaw: isFiniteNumber(yaw) ? yaw % (2 * Math.PI) : 0,
+    pitch: isFiniteNumber(pitch) ? Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch)) : 0,
+  };
+}
+
+// Run one sanitized input. Its duration is paid from a budget that
+// refills with real time, so sending inputs faster than real time
+// only ever shortens them. `world` comes from createCollisionWorld().
+function simulateInput(physics, input, world, now = Date.now()) {
+  physics.timeBudget = Math.min(physics.timeBudget + (now - physics.lastInput) / 1000, MAX_TIME_BUDGET);
+  physics.lastInput = now;
+  input.dt = Math.min(input.dt, physics.timeBudget);
+  physics.timeBudget -= input.dt;
+  shared.movement.applyInput(physics, input, world);
+}
+
+module.exports = { createPhysics, sanitizeInput, simulateInput };
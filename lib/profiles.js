@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Player profiles and lifetime stats.
+ *
+ * Identity is deliberately light: the first time someone plays, the
+ * server hands out a random token that the browser keeps. Whoever holds
+ * the token owns the profile's name; nobody else can play under it.
+ * There are no passwords, so losing the token means losing the profile.
+ *
+ * Profiles live in one JSON file (PROFILE_FILE):
+ *
+ *   { version, profiles: { <token>: { name, createdAt, lastSeen, stats } } }
+ *
+ * Stats only count during live rounds. Changes are written back a few
+ * seconds later in one go, through a temporary file so a crash never
+ * leaves half a file behind.
+ *
+ * Players who leave the name blank get a made-up guest name. Their
+ * profile stays in memory only, and is forgotten when they leave,
+ * until they choose a name or finish a match; otherwise every
+ * anonymous visit would add to the file.
+ */
+
+const PROFILE_VERSION = 1;
+const PROFILE_FILE = process.env.PROFILE_FILE || path.join(__dirname, '..', 'data', 'profiles.json');
+const SAVE_DELAY = 5000; // ms between a change and writing it out
+const TOKEN = /^[0-9a-f]{32}$/;
+const MAX_NAME_LENGTH = 32;
+// Clients pass the word for "player" in their language for guest names
+const GUEST_PREFIX = /^\p{L}{1,16}$/u;
+const DEFAULT_GUEST_PREFIX = 'Speler';
+// Guest numbers get longer when the short ones are running out
+const GUEST_SUFFIX_RANGES = [1000, 1e6, 1e9];
+const GUEST_ATTEMPTS = 20; // per range
+
+const STAT_FIELDS = ['kills', 'deaths', 'shots', 'hits', 'headshots', 'matches', 'wins'];
+
+const profiles = new Map(); // token -> profile
+const owners = new Map(); // lower-case name -> token
+let saveTimer = null;
+
+function emptyStats() {
+  const stats = {};
+  for (const field of STAT_FIELDS) stats[field] = 0;
+  return stats;
+}
+
+// Read the profile file; a missing file just means nobody played yet
+function loadProfiles() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(PROFILE_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Cannot read profiles:', e.message);
+    return;
+  }
+  for (const [token, profile] of Object.entries(data.profiles || {})) {
+    profile.stats = { ...emptyStats(), ...profile.stats };
+    profiles.set(token, profile);
+    owners.set(profile.name.toLowerCase(), token);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveProfiles, SAVE_DELAY);
+  saveTimer.unref();
+}
+
+// Whether a profile belongs in the file (see above)
+function isKept(profile) {
+  return !profile.guest || profile.stats.matches > 0;
+}
+
+function saveProfiles() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const kept = Array.from(profiles).filter(([, profile]) => isKept(profile));
+  const json = JSON.stringify({ version: PROFILE_VERSION, profiles: Object.fromEntries(kept) });
+  const tmp = `${PROFILE_FILE}.tmp`;
+  fs.mkdir(path.dirname(PROFILE_FILE), { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) return console.error('Cannot create profile directory:', mkdirErr.message);
+    fs.writeFile(tmp, json, (writeErr) => {
+      if (writeErr) return console.error('Saving profiles failed:', writeErr.message);
+      fs.rename(tmp, PROFILE_FILE, (renameErr) => {
+        if (renameErr) console.error('Saving profiles failed:', renameErr.message);
+      });
+    });
+  });
+}
+
+// A `Speler###` name nobody owns yet, or `<prefix>###`. Returns null
+// in the unlikely case that every try was taken.
+function guestName(prefix) {
+  if (typeof prefix !== 'string' || !GUEST_PREFIX.test(prefix)) prefix = DEFAULT_GUEST_PREFIX;
+  for (const range of GUEST_SUFFIX_RANGES) {
+    for (let i = 0; i < GUEST_ATTEMPTS; i++) {
+      const name = `${prefix}${Math.floor(Math.random() * range)}`;
+      if (!owners.has(name.toLowerCase())) return name;
+    }
+  }
+  return null;
+}
+
+// Find or create the profile for `token` and give it `name`. A blank
+// name keeps the profile's current one, or makes up a guest name with
+// `guestPrefix` for new profiles. Returns { token, profile }, or
+// { error } when the name belongs to someone else.
+function claimProfile(token, name, guestPrefix) {
+  name = String(name || '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  let profile = TOKEN.test(token) ? profiles.get(token) : undefined;
+  let guest = false;
+  if (!profile) {
+    token = crypto.randomBytes(16).toString('hex');
+    profile = { name: null, createdAt: Date.now(), lastSeen: 0, stats: emptyStats() };
+    if (!name) {
+      name = guestName(guestPrefix);
+      if (!name) return { error: 'nameTaken' };
+      guest = true;
+    }
+  }
+  if (name && name !== profile.name) {
+    const owner = owners.get(name.toLowerCase());
+    if (owner && owner !== token) return { error: 'nameTaken' };
+    if (profile.name) owners.delete(profile.name.toLowerCase());
+    profile.name = name;
+    owners.set(name.toLowerCase(), token);
+    // A name of their own makes a guest a regular
+    if (guest) profile.guest = true;
+    else delete profile.guest;
+  }
+  profile.lastSeen = Date.now();
+  profiles.set(token, profile);
+  if (isKept(profile)) scheduleSave();
+  return { token, profile };
+}
+
+// The player using `profile` has left. A guest profile that never
+// made it into the file is forgotten, and its name is free again.
+function releaseProfile(profile) {
+  if (isKept(profile)) return;
+  const key = profile.name.toLowerCase();
+  profiles.delete(owners.get(key));
+  owners.delete(key);
+}
+
+// Add `changes` ({ kills: 1, ... }) to a profile's stats; bots have none
+function recordStats(profile, changes) {
+  if (!profile) return;
+  for (const [field, amount] of Object.entries(changes)) profile.stats[field] += amount;
+  scheduleSave();
+}
+
+// Best players first, by kills. Guests who haven't finished a match
+// are left out, as they are from the file.
+function leaderboard(limit = 50) {
+  const rows = [];
+  for (const profile of profiles.values()) {
+    if (!isKept(profile)) continue;
+    const { name, stats } = profile;
+    rows.push({
+      name,
+      ...stats,
+      kd: stats.deaths ? stats.kills / stats.deaths : stats.kills,
+      accuracy: stats.shots ? stats.hits / stats.shots : 0,
+    });
+  }
+  rows.sort((a, b) => b.kills - a.kills || b.kd - a.kd);
+  return rows.slice(0, limit);
+}
+
+module.exports = { loadProfiles, saveProfiles, claimProfile, releaseProfile, recordStats, leaderboard };
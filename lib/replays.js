@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/*
+ * Match recording.
+ *
+ * While a round is live, its room records everything it broadcasts
+ * (snapshots, joins, respawns, kills, mode and match state) plus every
+ * shot with its pellets and what they hit. Each entry is
+ * { t, msg }: the server time and the message exactly as clients got
+ * it, so the replay viewer can feed it through the normal message
+ * handler. Entries are serialized as they are recorded because
+ * messages share objects (like player state) that keep changing.
+ *
+ * When the round ends the recording is written to REPLAY_DIR as
+ * gzipped JSON:
+ *
+ *   { version, room: { id, name }, map, mode, round, startedAt, endedAt, events: [{ t, msg }] }
+ *
+ * Only the newest MAX_REPLAYS files are kept.
+ */
+
+const REPLAY_VERSION = 1;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays');
+const MAX_REPLAYS = Number(process.env.MAX_REPLAYS) || 50;
+const REPLAY_FILE = /^([0-9T-]+Z)_room(\d+)_round(\d+)\.json\.gz$/;
+
+class ReplayRecorder {
+  constructor(room) {
+    this.room = room;
+    this.events = null; // null while not recording
+    this.startedAt = 0;
+    this.hasSnapshots = false;
+  }
+
+  get recording() {
+    return this.events !== null;
+  }
+
+  start() {
+    this.events = [];
+    this.startedAt = Date.now();
+    this.hasSnapshots = false;
+  }
+
+  record(msg) {
+    if (!this.events) return;
+    if (msg.type === 'snapshot') this.hasSnapshots = true;
+    this.events.push(JSON.stringify({ t: Date.now(), msg }));
+  }
+
+  // Stop recording and write the file. Rounds that nobody played (no
+  // snapshot was ever sent) are dropped.
+  stop() {
+    const events = this.events;
+    this.events = null;
+    if (!events || !this.hasSnapshots) return;
+    const room = this.room;
+    const header = JSON.stringify({
+      version: REPLAY_VERSION,
+      room: { id: room.id, name: room.name },
+      map: room.map.id,
+      mode: room.mode.id,
+      round: room.match.round,
+      startedAt: this.startedAt,
+      endedAt: Date.now(),
+    });
+    const json = `${header.slice(0, -1)},"events":[${events.join(',')}]}`;
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+    const file = `${stamp}_room${room.id}_round${room.match.round}.json.gz`;
+    zlib.gzip(json, (err, data) => {
+      if (err) return console.error('Replay compression failed:', err.message);
+      fs.mkdir(REPLAY_DIR, { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) return console.error('Cannot create replay directory:', mkdirErr.message);
+        fs.writeFile(path.join(REPLAY_DIR, file), data, (writeErr) => {
+          if (writeErr) return console.error('Saving replay failed:', writeErr.message);
+          pruneReplays();
+        });
+      });
+    });
+  }
+}
+
+// Saved replays, newest first: [{ id, date, room, round, size }]
+function listReplays(callback) {
+  fs.readdir(REPLAY_DIR, (err, files) => {
+    if (err) return callback(err.code === 'ENOENT' ? null : err, []);
+    const replays = [];
+    for (const file of files) {
+      const m = REPLAY_FILE.exec(file);
+      if (!m) continue;
+      const [date, time] = m[1].split('T');
+      const [h, min, s, ms] = time.replace('Z', '').split('-');
+      replays.push({
+        id: file.replace(/\.json\.gz$/, ''),
+        date: `${date}T${h}:${min}:${s}.${ms}Z`,
+        room: Number(m[2]),
+        round: Number(m[3]),
+        size: fs.statSync(path.join(REPLAY_DIR, file)).size,
+      });
+    }
+    replays.sort((a, b) => (a.date < b.date ? 1 : -1));
+    callback(null, replays);
+  });
+}
+
+// Path of a saved replay, or null for ids that don't name one
+function replayPath(id) {
+  const file = `${id}.json.gz`;
+  if (!REPLAY_FILE.test(file)) return null;
+  return path.join(REPLAY_DIR, file);
+}
+
+function pruneReplays() {
+  listReplays((err, replays) => {
+    if (err) return;
+    for (const old of replays.slice(MAX_REPLAYS)) {
+      fs.unlink(replayPath(old.id), () => {});
+    }
+  });
+}
+
+module.exports = { ReplayRecorder, listReplays, replayPath };
@@ -0,0 +1,748 @@
+const { sendWS } = require('./websocket');
+const { shared } = require('./shared');
+const { createPhysics, sanitizeInput, simulateInput } = require('./movement');
+const { DEFAULT_MAP, loadMap, raycastWorld } = require('./maps');
+const { PositionHistory } = require('./history');
+const { raycastHitboxes } = require('./hitboxes');
+const { DEFAULT_MODE, createMode } = require('./modes');
+const { Bot, DEFAULT_DIFFICULTY, DIFFICULTIES } = require('./bots');
+const { ReplayRecorder } = require('./replays');
+const { recordStats } = require('./profiles');
+const { log } = require('./log');
+
+/*
+ * Rooms (lobbies).
+ *
+ * Every room runs its own match with its own players, so several
+ * matches can share one server process. Joins, leaves, hit detection
+ * and kills never cross room boundaries. Rules that depend on the game
+ * mode (teams, friendly fire, spawns, scoring) live in modes/.
+ *
+ * Rooms can top themselves up with bots (see bots.js) to a fixed
+ * number of players while at least one person is playing. Bots don't
+ * count towards the player limit: one leaves for every human who joins
+ * a full room.
+ *
+ * Match lifecycle: the server owns the round clock so every client
+ * sees the same phase changes regardless of when it connected. A
+ * round cycles through warmup -> live -> post and then starts over.
+ * Timestamps are sent as server `Date.now()` values together with the
+ * current server time so clients can correct for their own clock.
+ *
+ * Simulation runs at a fixed tick: player inputs are simulated as they
+ * arrive, and once per tick the room broadcasts a single snapshot with
+ * every player's state. Clients interpolate between snapshots. Each
+ * player also gets an `ack` with the last input the server processed
+ * and the resulting state, which the client reconciles against.
+ *
+ * Hit detection is lag compensated: each player's position is recorded
+ * every tick, and shots are tested against where targets were at the
+ * time the shooter saw them, up to MAX_REWIND_MS in the past. Targets
+ * are tested per hitbox (see hitboxes.js), so where a shot lands
+ * changes its damage. Whether a shot is allowed at all (fire rate,
+ * ammo, reloads) is decided by the shared weapon rules, with the
+ * spread rolled here. Shots must come from the shooter's own eyes:
+ * within MAX_ORIGIN_OFFSET of where the server has them, and not from
+ * the other side of a wall.
+ *
+ * Every live round is recorded to a replay file (see replays.js).
+ *
+ * Spectators receive everything players do but have no body: they are
+ * not in snapshots, can't be hit and don't count towards the player
+ * limit. With a respawn delay, killed players stay dead (health 0, not
+ * hittable, inputs ignored) until their `respawnAt` time.
+ *
+ * Players with a profile (see profiles.js) collect lifetime stats from
+ * live rounds: shots, hits, kills, deaths, matches played and won.
+ *
+ * A player whose connection drops keeps their place, score and body
+ * in the room for a grace period (see server.js). When they come back
+ * on a new connection, resume() sends them the room all over again.
+ *
+ * Joins, leaves and kills are logged (see log.js); bots only show up
+ * in kills. The admin console (see admin.js) can switch a room's map
+ * or mode and end or restart its match at any time.
+ *
+ * Chat goes to the whole room, or with `team` only to the sender's
+ * team. Messages are plain text, capped in length, and each sender may
+ * send CHAT_BURST messages at once and one more every CHAT_INTERVAL.
+ * Clients must treat text (and names) as text, never as HTML.
+ */
+const WARMUP_DURATION = Number(process.env.WARMUP_DURATION) || 15; // seconds
+const MATCH_DURATION = Number(process.env.MATCH_DURATION) || 300; // seconds
+const POSTMATCH_DURATION = Number(process.env.POSTMATCH_DURATION) || 10; // seconds
+const TICK_RATE = Number(process.env.TICK_RATE) || 30; // snapshots per second
+const MAX_REWIND_MS = Number(process.env.MAX_REWIND_MS) || 250;
+const HISTORY_SIZE = Math.ceil((MAX_REWIND_MS / 1000) * TICK_RATE) + 2;
+const MAX_INPUTS_PER_MESSAGE = 32;
+// How early a shot may arrive relative to the weapon's fire rate, to
+// absorb network jitter. The sustained rate is still capped.
+const FIRE_GRACE_MS = 60;
+// How far the muzzle a client reports may be from its eyes on the
+// server. The client fires from where it predicts it is, which can be
+// up to one unsent batch of inputs ahead of us.
+const MAX_ORIGIN_OFFSET = 1; // m
+
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_PLAYERS_LIMIT = 16;
+const MAX_ROOMS = 20;
+const EMPTY_ROOM_TIMEOUT = 60; // seconds a new room may wait for its first player
+const CHAT_MAX_LENGTH = 200; // characters
+const CHAT_BURST = 4; // messages
+const CHAT_INTERVAL = 1.5; // seconds to earn another message
+const DEFAULT_RESPAWN_DELAY = Number(process.env.RESPAWN_DELAY) || 0; // seconds
+const MAX_RESPAWN_DELAY = 10;
+
+const rooms = new Map(); // id -> Room
+let nextRoomId = 1;
+
+class Room {
+  constructor(id, options) {
+    const { name, maxPlayers, map, mode = DEFAULT_MODE, bots = 0, botDifficulty, respawnDelay = 0 } = options;
+    this.id = id;
+    this.name = name;
+    this.maxPlayers = maxPlayers;
+    this.respawnDelay = respawnDelay; // seconds
+    this.map = map;
+    this.world = shared.movement.createCollisionWorld(map);
+    this.mode = createMode(mode, this);
+    // Persistent rooms stay open when the last player leaves
+    this.persistent = Boolean(options.persistent);
+    this.clients = new Map(); // id -> { socket, name, team, state, kills, deaths }
+    this.spectators = new Map(); // id -> { socket, name }
+    this.bots = new Map(); // id -> Bot, the bots among `clients`
+    this.botFill = bots;
+    this.botDifficulty = botDifficulty;
+    this.recorder = new ReplayRecorder(this);
+    this.match = { phase: 'warmup', round: 0, startedAt: 0, endsAt: 0, timer: null, results: null };
+    this.startWarmup();
+    this.tickTimer = setInterval(() => this.tick(), 1000 / TICK_RATE);
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      players: this.humanCount(),
+      bots: this.bots.size,
+      spectators: this.spectators.size,
+      maxPlayers: this.maxPlayers,
+      map: this.map.id,
+      mode: this.mode.id,
+      phase: this.match.phase,
+    };
+  }
+
+  humanCount() {
+    return this.clients.size - this.bots.size;
+  }
+
+  isFull() {
+    return this.humanCount() >= this.maxPlayers;
+  }
+
+  isEmpty() {
+    return this.clients.size === 0 && this.spectators.size === 0;
+  }
+
+  join(playerId, client, name) {
+    client.name = name;
+    // The server decides where a player starts; nothing in the client's
+    // initial state is trusted.
+    client.state = { x: 0, y: 1.6, z: 0, yaw: 0, pitch: 0, health: 100, crouching: false };
+    client.history = new PositionHistory(HISTORY_SIZE);
+    client.loadout = shared.weapons.createLoadout();
+    client.team = null;
+    client.dead = false;
+    this.mode.onJoin(playerId, client);
+    this.respawn(client);
+    client.kills = 0;
+    client.deaths = 0;
+    client.lastSeq = 0; // last input simulated
+    client.ackedSeq = 0; // last input acknowledged to the client
+    client.room = this;
+    this.clients.set(playerId, client);
+    sendWS(client.socket, { type: 'map', map: this.map.id });
+    // Our own spawn point arrives as a teleport
+    sendWS(client.socket, { type: 'update', id: playerId, state: client.state });
+    this.broadcast({ type: 'playerJoined', id: playerId, name, team: client.team, state: client.state });
+    this.sendRoomState(client, playerId);
+    if (!client.bot) {
+      log('join', { room: this.id, id: playerId, name, ip: client.ip, team: client.team });
+      this.fillBots();
+    }
+  }
+
+  addSpectator(playerId, client, name) {
+    client.name = name;
+    client.spectator = true;
+    client.room = this;
+    this.spectators.set(playerId, client);
+    sendWS(client.socket, { type: 'map', map: this.map.id });
+    this.sendRoomState(client, playerId);
+    log('join', { room: this.id, id: playerId, name, ip: client.ip, spectator: true });
+  }
+
+  // Bring a newcomer up to date: everyone else in the room, the match
+  // and mode state, and the results if a round just ended
+  sendRoomState(client, playerId) {
+    for (const [id, other] of this.clients) {
+      if (id === playerId) continue;
+      sendWS(client.socket, {
+        type: 'playerJoined',
+        id,
+        name: other.name,
+        team: other.team,
+        state: other.state,
+        kills: other.kills,
+        deaths: other.deaths,
+      });
+    }
+    sendWS(client.socket, this.matchStateMessage());
+    sendWS(client.socket, { type: 'modeState', ...this.mode.state() });
+    // Late joiners during the post-match still get the final table
+    if (this.match.phase === 'post') {
+      sendWS(client.socket, { type: 'matchResults', round: this.match.round, ...this.match.results });
+    }
+  }
+
+  // Bring a player or spectator who reconnected back up to date. They
+  // missed messages while away, so the client starts over from this.
+  resume(playerId, client) {
+    const { team, kills, deaths } = client;
+    sendWS(client.socket, { type: 'resumed', id: playerId, spectator: Boolean(client.spectator), team, kills, deaths });
+    sendWS(client.socket, { type: 'map', map: this.map.id });
+    if (!client.spectator) {
+      sendWS(client.socket, { type: 'update', id: playerId, state: client.state });
+      this.sendWeaponState(client);
+    }
+    this.sendRoomState(client, playerId);
+  }
+
+  leave(playerId) {
+    const spectator = this.spectators.get(playerId);
+    if (spectator) {
+      this.spectators.delete(playerId);
+      log('leave', { room: this.id, id: playerId, name: spectator.name, spectator: true });
+      if (this.isEmpty() && !this.persistent) removeRoom(this.id);
+      return;
+    }
+    const client = this.clients.get(playerId);
+    if (!client) return;
+    this.clients.delete(playerId);
+    this.broadcast({ type: 'playerLeft', id: playerId });
+    this.mode.onLeave(playerId, client);
+    if (!client.bot) {
+      log('leave', { room: this.id, id: playerId, name: client.name, kills: client.kills, deaths: client.deaths });
+      this.fillBots();
+    }
+    if (this.isEmpty() && !this.persistent) removeRoom(this.id);
+  }
+
+  // Add or remove bots until the room holds `botFill` players, or none
+  // when there's nobody to play against them
+  fillBots() {
+    const humans = this.humanCount();
+    const target = humans > 0 ? Math.max(Math.min(this.botFill, this.maxPlayers), humans) : 0;
+    while (this.clients.size < target) this.addBot();
+    while (this.clients.size > target && this.bots.size > 0) {
+      this.removeBot(Array.from(this.bots.keys()).pop());
+    }
+  }
+
+  addBot() {
+    const bot = new Bot(this, this.botDifficulty);
+    this.bots.set(bot.id, bot);
+    this.join(bot.id, bot.client, Bot.pickName(this));
+  }
+
+  removeBot(id) {
+    this.leave(id);
+    this.bots.delete(id);
+  }
+
+  // Simulate a batch of movement inputs. Only inputs are taken from
+  // the client; the position is whatever the shared physics makes of
+  // them. Other players see the result in the next snapshot.
+  handleInput(playerId, inputs) {
+    const client = this.clients.get(playerId);
+    if (!Array.isArray(inputs) || client.dead) return;
+    const now = Date.now();
+    for (const raw of inputs.slice(0, MAX_INPUTS_PER_MESSAGE)) {
+      const input = sanitizeInput(raw);
+      // Drop garbage and anything we have already simulated
+      if (!input || input.seq <= client.lastSeq) continue;
+      simulateInput(client.physics, input, this.world, now);
+      client.lastSeq = input.seq;
+      client.state.yaw = input.yaw;
+      client.state.pitch = input.pitch;
+    }
+    // Crouching is up to the physics too: there may be no room to stand
+    const { x, y, z, crouching } = client.physics;
+    Object.assign(client.state, { x, y, z, crouching });
+  }
+
+  // One fixed simulation step: send everyone the state of every player
+  tick() {
+    if (this.clients.size === 0) return;
+    const now = Date.now();
+    for (const bot of this.bots.values()) bot.update(now);
+    for (const [id, client] of this.clients) {
+      if (client.dead && now >= client.respawnAt) {
+        this.respawn(client);
+        this.broadcast({ type: 'update', id, state: client.state });
+      }
+    }
+    this.mode.onTick(now);
+    const players = [];
+    for (const [id, client] of this.clients) {
+      const s = client.state;
+      client.history.record(now, s);
+      players.push({
+        id,
+        x: round(s.x, 2),
+        y: round(s.y, 2),
+        z: round(s.z, 2),
+        yaw: round(s.yaw, 3),
+        pitch: round(s.pitch, 3),
+        health: s.health,
+        crouching: s.crouching,
+      });
+    }
+    this.broadcast({ type: 'snapshot', t: now, players });
+    for (const client of this.clients.values()) {
+      if (client.bot || client.lastSeq === client.ackedSeq) continue;
+      client.ackedSeq = client.lastSeq;
+      const { x, y, z, velocityY, onGround, crouching, slideHeld, slideX, slideZ } = client.physics;
+      const state = { x, y, z, velocityY, onGround, crouching, slideHeld, slideX, slideZ };
+      sendMessage(client, { type: 'ack', seq: client.lastSeq, state });
+    }
+  }
+
+  // `firedAt` is the server time the shooter's view showed when it
+  // fired, i.e. its interpolated render time.
+  handleShoot(playerId, origin, direction, firedAt) {
+    // Nobody can score between rounds
+    if (this.match.phase === 'post') return;
+    const shooter = this.clients.get(playerId);
+    if (shooter.dead) return;
+    const dir = normalizeVector(direction);
+    if (!dir || !isVector(origin) || !this.canFireFrom(shooter, origin)) return;
+    // The weapon rules decide whether this shot happened at all
+    const now = Date.now();
+    const { weapons } = shared;
+    if (!weapons.fire(shooter.loadout, now, FIRE_GRACE_MS)) {
+      this.sendWeaponState(shooter);
+      return;
+    }
+    const weapon = weapons.WEAPONS[shooter.loadout.current];
+    // Rewind targets to what the shooter saw, within limits
+    const rewindTo = Math.min(now, Math.max(Number(firedAt) || now, now - MAX_REWIND_MS));
+    // Every pellet is traced separately; damage adds up per victim
+    const hits = new Map(); // victim id -> { damage, headshot }
+    const pellets = [];
+    for (let i = 0; i < weapon.pellets; i++) {
+      const pelletDir = weapons.spreadDirection(dir, weapon.spread);
+      const hit = this.traceShot(playerId, origin, pelletDir, weapon.range, rewindTo);
+      pellets.push({ direction: pelletDir, hit });
+      if (!hit) continue;
+      const total = hits.get(hit.id) || { damage: 0, headshot: false };
+      total.damage += weapons.damageAt(weapon, hit.distance) * hit.multiplier;
+      total.headshot = total.headshot || hit.part === 'head';
+      hits.set(hit.id, total);
+    }
+    // Replays get the whole picture, including where targets were rewound to
+    this.recorder.record({ type: 'shotFired', id: playerId, weapon: weapon.id, origin, firedAt, rewindTo, pellets });
+    // Everyone else hears and sees the shot; the shooter already did
+    const from = { x: origin.x, y: origin.y, z: origin.z };
+    this.sendAll({ type: 'shot', id: playerId, weapon: weapon.id, origin: from, direction: dir }, playerId);
+    if (this.match.phase === 'live') {
+      // Accuracy counts shots, not pellets: a shot hits if any pellet does
+      const headshot = Array.from(hits.values()).some((h) => h.headshot);
+      recordStats(shooter.profile, { shots: 1, hits: hits.size > 0 ? 1 : 0, headshots: headshot ? 1 : 0 });
+    }
+    for (const [victimId, { damage, headshot }] of hits) {
+      // A hit can end the round (score limit); the rest no longer count
+      if (this.match.phase === 'post') break;
+      const killed = this.applyDamage(playerId, victimId, Math.round(damage), weapon.id, headshot);
+      // Hit-marker for the shooter
+      sendWS(shooter.socket, { type: 'hit', victim: victimId, damage: Math.round(damage), headshot, killed });
+    }
+  }
+
+  // Whether `origin` can be the shooter's muzzle: close to their eyes,
+  // with nothing solid in between
+  canFireFrom(shooter, origin) {
+    const { x, y, z } = shooter.state;
+    const offset = { x: origin.x - x, y: origin.y - y, z: origin.z - z };
+    const distance = Math.hypot(offset.x, offset.y, offset.z);
+    if (distance > MAX_ORIGIN_OFFSET) return false;
+    if (distance < 1e-6) return true;
+    const toOrigin = { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance };
+    return raycastWorld(this.world, { x, y, z }, toOrigin) >= distance;
+  }
+
+  // Find the nearest player hit by a ray, as they were at `rewindTo`.
+  // Returns { id, target, part, distance, multiplier } or null, with
+  // `target` the rewound position that was tested. Walls stop bullets:
+  // nothing beyond the first obstacle can be hit, and players the
+  // shooter may not damage (teammates) don't stop them.
+  traceShot(shooterId, origin, direction, range, rewindTo) {
+    const maxDist = Math.min(range, raycastWorld(this.world, origin, direction));
+    const shooter = this.clients.get(shooterId);
+    let best = null;
+    for (const [id, other] of this.clients) {
+      if (id === shooterId || other.dead || !this.mode.canDamage(shooter, other)) continue;
+      const target = other.history.sample(rewindTo);
+      if (!target) continue;
+      const hit = raycastHitboxes(target, origin, direction, maxDist);
+      if (hit && (!best || hit.distance < best.distance)) best = { id, target, ...hit };
+    }
+    return best;
+  }
+
+  // Returns whether the victim died
+  applyDamage(attackerId, victimId, amount, weaponId, headshot) {
+    const attacker = this.clients.get(attackerId);
+    const victim = this.clients.get(victimId);
+    victim.state.health -= amount;
+    // Lets the victim's HUD point to where the hit came from
+    const from = { x: attacker.state.x, y: attacker.state.y, z: attacker.state.z };
+    sendWS(victim.socket, { type: 'damaged', attacker: attackerId, from, damage: amount, health: victim.state.health });
+    if (victim.state.health <= 0) {
+      attacker.kills++;
+      victim.deaths++;
+      if (this.match.phase === 'live') {
+        recordStats(attacker.profile, { kills: 1 });
+        recordStats(victim.profile, { deaths: 1 });
+      }
+      this.mode.onKill(attackerId, victimId);
+      log('kill', { room: this.id, killer: attacker.name, victim: victim.name, weapon: weaponId, headshot });
+      const killed = { type: 'playerKilled', killer: attackerId, victim: victimId, weapon: weaponId, headshot };
+      if (this.respawnDelay > 0) {
+        // Out of the game until tick() brings them back
+        victim.dead = true;
+        victim.state.health = 0;
+        victim.respawnAt = Date.now() + this.respawnDelay * 1000;
+        this.broadcast({ ...killed, respawnAt: victim.respawnAt });
+        return true;
+      }
+      // Respawn victim at one of the map's spawn points
+      this.respawn(victim);
+      this.broadcast(killed);
+      // Also send update of respawned state
+      this.broadcast({ type: 'update', id: victimId, state: victim.state });
+      return true;
+    }
+    return false;
+  }
+
+  handleSwitchWeapon(playerId, weaponId) {
+    const client = this.clients.get(playerId);
+    shared.weapons.switchWeapon(client.loadout, String(weaponId), Date.now());
+    this.sendWeaponState(client);
+  }
+
+  handleReload(playerId) {
+    const client = this.clients.get(playerId);
+    shared.weapons.startReload(client.loadout, Date.now());
+    this.sendWeaponState(client);
+  }
+
+  // Chat from a player or spectator. Spectators always talk to
+  // everyone; so does team chat in modes without teams.
+  handleChat(playerId, client, text, teamOnly) {
+    if (typeof text !== 'string') return;
+    // Control characters have no place in a chat line
+    text = text
+      .replace(/[\u0000-\u001f\u007f]/g, '')
+      .trim()
+      .slice(0, CHAT_MAX_LENGTH);
+    if (!text) return;
+    // Token bucket: CHAT_BURST messages, refilled one per CHAT_INTERVAL
+    const now = Date.now();
+    if (client.chatAllowance === undefined) client.chatAllowance = { tokens: CHAT_BURST, updatedAt: now };
+    const allowance = client.chatAllowance;
+    allowance.tokens = Math.min(CHAT_BURST, allowance.tokens + (now - allowance.updatedAt) / (CHAT_INTERVAL * 1000));
+    allowance.updatedAt = now;
+    if (allowance.tokens < 1) {
+      sendWS(client.socket, { type: 'chatRejected', reason: 'rateLimit' });
+      return;
+    }
+    allowance.tokens--;
+    const team = teamOnly && !client.spectator ? client.team : null;
+    const message = { type: 'chat', id: playerId, name: client.name, text, team, spectator: Boolean(client.spectator) };
+    if (team === null) {
+      this.broadcast(message);
+      return;
+    }
+    for (const other of this.clients.values()) {
+      if (other.team === team) sendWS(other.socket, message);
+    }
+  }
+
+  // Tell a player what the server thinks their weapon state is. The
+  // client predicts all of this, so it's only needed when the two
+  // might disagree.
+  sendWeaponState(client) {
+    const loadout = client.loadout;
+    sendWS(client.socket, {
+      type: 'weaponState',
+      weapon: loadout.current,
+      ammo: loadout.ammo,
+      reloadEndsAt: loadout.reloadEndsAt,
+    });
+  }
+
+  setPhase(phase, duration) {
+    const match = this.match;
+    clearTimeout(match.timer);
+    match.phase = phase;
+    match.startedAt = Date.now();
+    match.endsAt = match.startedAt + duration * 1000;
+    match.timer = setTimeout(() => this.advancePhase(), duration * 1000);
+    this.broadcast(this.matchStateMessage());
+  }
+
+  advancePhase() {
+    if (this.match.phase === 'warmup') this.startLive();
+    else if (this.match.phase === 'live') this.endMatch();
+    else this.startWarmup();
+  }
+
+  startWarmup() {
+    this.match.round++;
+    this.setPhase('warmup', WARMUP_DURATION);
+  }
+
+  startLive() {
+    // The replay starts with everything a client joining now would get
+    this.recorder.start();
+    this.recorder.record({ type: 'map', map: this.map.id });
+    for (const [id, client] of this.clients) {
+      this.recorder.record({ type: 'playerJoined', id, name: client.name, team: client.team, state: client.state });
+    }
+    // Scores only count from the moment the round goes live.
+    this.mode.onRoundStart();
+    for (const [id, client] of this.clients) {
+      client.kills = 0;
+      client.deaths = 0;
+      this.respawn(client);
+      this.broadcast({ type: 'update', id, state: client.state });
+    }
+    this.setPhase('live', MATCH_DURATION);
+  }
+
+  endMatch() {
+    this.setPhase('post', POSTMATCH_DURATION);
+    // { results, teams, winner }
+    this.match.results = this.mode.results();
+    this.broadcast({ type: 'matchResults', round: this.match.round, ...this.match.results });
+    this.recorder.stop();
+    // The winner is a player id, or a team id in team modes
+    const { winner } = this.match.results;
+    for (const [id, client] of this.clients) {
+      const won = winner !== null && (winner === id || winner === client.team);
+      recordStats(client.profile, { matches: 1, wins: won ? 1 : 0 });
+    }
+  }
+
+  // Abandon the current round and start over from warmup
+  restartMatch() {
+    // Keep what was recorded of a live round
+    this.recorder.stop();
+    this.match.results = null;
+    this.startWarmup();
+  }
+
+  // Switch to game mode `id`, which must support the current map.
+  // Teams are dealt out again from scratch; scores only make sense
+  // again after restartMatch().
+  setMode(id) {
+    this.mode = createMode(id, this);
+    for (const client of this.clients.values()) client.team = null;
+    for (const [clientId, client] of this.clients) {
+      this.mode.onJoin(clientId, client);
+      this.broadcast({ type: 'teamChanged', id: clientId, team: client.team });
+    }
+    this.broadcastModeState();
+  }
+
+  // Move the room to `map` (loaded, and supported by the current
+  // mode). Everyone respawns there and a new round begins.
+  changeMap(map) {
+    this.restartMatch();
+    this.map = map;
+    this.world = shared.movement.createCollisionWorld(map);
+    // Modes take things from the map, like CTF's flags
+    this.setMode(this.mode.id);
+    this.broadcast({ type: 'map', map: map.id });
+    for (const [id, client] of this.clients) {
+      this.respawn(client);
+      this.broadcast({ type: 'update', id, state: client.state });
+    }
+  }
+
+  broadcastModeState() {
+    this.broadcast({ type: 'modeState', ...this.mode.state() });
+  }
+
+  matchStateMessage() {
+    const match = this.match;
+    return {
+      type: 'matchState',
+      phase: match.phase,
+      round: match.round,
+      startedAt: match.startedAt,
+      endsAt: match.endsAt,
+      serverTime: Date.now(),
+    };
+  }
+
+  // Put a player back at full health on the spawn point furthest from
+  // everyone else, with a little randomness so spawns aren't predictable.
+  respawn(client) {
+    const others = [];
+    for (const other of this.clients.values()) {
+      if (other !== client && other.state) others.push(other.state);
+    }
+    let best = null;
+    let bestScore = -Infinity;
+    for (const spawn of this.mode.spawnPoints(client)) {
+      let nearest = Infinity;
+      for (const o of others) {
+        nearest = Math.min(nearest, Math.hypot(o.x - spawn.x, o.z - spawn.z));
+      }
+      const score = Math.min(nearest, 1000) + Math.random() * 5;
+      if (score > bestScore) {
+        bestScore = score;
+        best = spawn;
+      }
+    }
+    client.state.health = 100;
+    client.state.x = best.x;
+    client.state.z = best.z;
+    client.state.y = 1.6;
+    client.state.yaw = best.yaw || 0;
+    client.state.crouching = false;
+    client.dead = false;
+    // Full magazines, same weapon in hand
+    client.loadout = shared.weapons.createLoadout(client.loadout.current);
+    this.sendWeaponState(client);
+    // Teleports are the server's doing, so restart movement validation
+    // here, and never let a rewound shot hit the pre-respawn position.
+    client.physics = createPhysics(client.state);
+    client.history.clear();
+    client.history.record(Date.now(), client.state);
+  }
+
+  // Send to every player in the room. Each encoding is built at most
+  // once, however many clients use it.
+  broadcast(data) {
+    this.recorder.record(data);
+    this.sendAll(data);
+  }
+
+  // Send to every player but `exceptId`, and to the spectators, without
+  // recording it
+  sendAll(data, exceptId = null) {
+    let json = null;
+    let binary;
+    const send = (client) => {
+      if (client.binary && binary === undefined) binary = shared.protocol.encodeMessage(data);
+      if (client.binary && binary) {
+        sendWS(client.socket, binary);
+      } else {
+        json = json || JSON.stringify(data);
+        sendWS(client.socket, json, true);
+      }
+    };
+    this.clients.forEach((client, id) => {
+      if (id !== exceptId) send(client);
+    });
+    this.spectators.forEach(send);
+  }
+
+  close() {
+    // Keep what we have of a round that is cut short
+    this.recorder.stop();
+    clearTimeout(this.match.timer);
+    clearInterval(this.tickTimer);
+  }
+}
+
+function isVector(v) {
+  return v && [v.x, v.y, v.z].every((n) => typeof n === 'number' && Number.isFinite(n));
+}
+
+function normalizeVector(v) {
+  if (!isVector(v)) return null;
+  const len = Math.hypot(v.x, v.y, v.z);
+  if (len < 1e-6) return null;
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+// Send one message in the encoding the client negotiated: binary for
+// the high-frequency types when it speaks the binary protocol.
+function sendMessage(client, data) {
+  const binary = client.binary && shared.protocol.encodeMessage(data);
+  sendWS(client.socket, binary || data);
+}
+
+function round(value, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+// Create a room. Returns null when the server already hosts the
+// maximum number of rooms.
+function createRoom(options = {}) {
+  const { name, maxPlayers, map = DEFAULT_MAP, mode = DEFAULT_MODE, bots, botDifficulty, persistent } = options;
+  const { respawnDelay = DEFAULT_RESPAWN_DELAY } = options;
+  if (rooms.size >= MAX_ROOMS) return null;
+  const mapData = loadMap(map);
+  const id = nextRoomId++;
+  // Unnamed rooms are named by the client, in the player's language
+  const cleanName = String(name || '').trim().slice(0, 32);
+  let cap = Math.floor(Number(maxPlayers)) || DEFAULT_MAX_PLAYERS;
+  cap = Math.min(Math.max(cap, 2), MAX_PLAYERS_LIMIT);
+  const botFill = Math.min(Math.max(Math.floor(Number(bots)) || 0, 0), cap);
+  const difficulty = Object.prototype.hasOwnProperty.call(DIFFICULTIES, botDifficulty)
+    ? botDifficulty
+    : DEFAULT_DIFFICULTY;
+  const room = new Room(id, {
+    name: cleanName,
+    maxPlayers: cap,
+    map: mapData,
+    mode,
+    bots: botFill,
+    botDifficulty: difficulty,
+    respawnDelay: Math.min(Math.max(Number(respawnDelay) || 0, 0), MAX_RESPAWN_DELAY),
+    persistent,
+  });
+  rooms.set(id, room);
+  if (!persistent) {
+    // Don't let rooms that nobody ever joins pile up
+    setTimeout(() => {
+      if (room.isEmpty()) removeRoom(id);
+    }, EMPTY_ROOM_TIMEOUT * 1000);
+  }
+  return room;
+}
+
+function getRoom(id) {
+  return rooms.get(Number(id)) || null;
+}
+
+function listRooms() {
+  return Array.from(rooms.values(), (room) => room.summary());
+}
+
+function removeRoom(id) {
+  const room = rooms.get(id);
+  if (!room || room.persistent) return;
+  room.close();
+  rooms.delete(id);
+}
+
+module.exports = { Room, createRoom, getRoom, listRooms, removeRoom };
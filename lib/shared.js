@@ -0,0 +1,17 @@
+/*
+ * Modules shared with the browser.
+ *
+ * Code that both sides run lives in public/shared as ES modules so the
+ * client can import it directly. CommonJS can only load those
+ * asynchronously, so server.js calls loadShared() once before it
+ * creates any rooms and everything else reads them from `shared`.
+ */
+const shared = {};
+
+async function loadShared() {
+  shared.movement = await import('../public/shared/movement.mjs');
+  shared.protocol = await import('../public/shared/protocol.mjs');
+  shared.weapons = await import('../public/shared/weapons.mjs');
+}
+
+module.exports = { shared, loadShared };
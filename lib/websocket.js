@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+
+/*
+ * Minimal WebSocket implementation (RFC 6455).
+ *
+ * Covers what a browser client can throw at us: the opening handshake
+ * with Origin and subprotocol checks, fragmented messages, ping/pong,
+ * and the closing handshake. Extensions (permessage-deflate etc.) are
+ * not supported and never negotiated. On top of the protocol the server
+ * pings every connection periodically and drops the ones that stop
+ * answering, and refuses frames larger than MAX_PAYLOAD.
+ *
+ * Traffic is counted in `stats` (messages and bytes, both ways) for the
+ * metrics endpoint, and each connection keeps its last ping round trip
+ * in `conn.rtt`.
+ */
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+// Close status codes (RFC 6455 section 7.4.1)
+const CLOSE = {
+  normal: 1000,
+  goingAway: 1001,
+  protocolError: 1002,
+  noStatus: 1005,
+  invalidData: 1007,
+  policyViolation: 1008,
+  tooBig: 1009,
+};
+
+const MAX_PAYLOAD = 64 * 1024; // bytes, per frame and per reassembled message
+const HEARTBEAT_INTERVAL = 15000; // ms between pings
+const CLOSE_TIMEOUT = 2000; // ms to wait for the peer's close frame
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Totals over all connections since the server started. Messages are
+// complete data messages; bytes include frame headers and control frames.
+const stats = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 };
+
+function rejectUpgrade(socket, status, headers = []) {
+  socket.end([`HTTP/1.1 ${status}`, 'Connection: close', ...headers].join('\r\n') + '\r\n\r\n');
+}
+
+// Complete the opening handshake. Returns false (after answering with
+// an HTTP error) when the request is not a valid WebSocket upgrade or
+// comes from an origin that is not allowed.
+//
+// options.allowedOrigins: list of allowed Origin values. When empty,
+//   only pages served by this host may connect. Requests without an
+//   Origin header (non-browser clients) are always allowed.
+// options.subprotocols: subprotocols we speak, in order of preference.
+function acceptUpgrade(req, socket, { allowedOrigins = [], subprotocols = [] } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    rejectUpgrade(socket, '400 Bad Request');
+    return false;
+  }
+  if (req.headers['sec-websocket-version'] !== '13') {
+    rejectUpgrade(socket, '426 Upgrade Required', ['Sec-WebSocket-Version: 13']);
+    return false;
+  }
+  if (!isOriginAllowed(req, allowedOrigins)) {
+    rejectUpgrade(socket, '403 Forbidden');
+    return false;
+  }
+
+  // Compute accept key
+  const acceptKey = crypto
+    .createHash('sha1')
+    .update(key + WS_GUID, 'binary')
+    .digest('base64');
+  const responseHeaders = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey}`,
+  ];
+  // Pick the first subprotocol we speak, in our order of preference. If
+  // the client offers none of them the header is left out, as the RFC
+  // requires.
+  const offered = (req.headers['sec-websocket-protocol'] || '').split(',').map((p) => p.trim());
+  const protocol = subprotocols.find((p) => offered.includes(p));
+  if (protocol) responseHeaders.push(`Sec-WebSocket-Protocol: ${protocol}`);
+  socket.write(responseHeaders.join('\r\n') + '\r\n\r\n');
+  return true;
+}
+
+function isOriginAllowed(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (allowedOrigins.length > 0) return allowedOrigins.includes(origin);
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Take over a socket after a successful handshake. Complete data
+// messages are passed to onMessage(opcode, payload) with opcode 0x1
+// (text) or 0x2 (binary) and the payload as a Buffer. onClose() is
+// called exactly once, however the connection ends.
+function attachConnection(socket, { onMessage, onClose }) {
+  const conn = {
+    socket,
+    buffer: Buffer.alloc(0),
+    fragments: null, // { opcode, parts, size } while a fragmented message is in flight
+    alive: true,
+    pingSentAt: 0,
+    rtt: null, // ms, from the last answered ping
+    closing: false,
+    closed: false,
+  };
+
+  conn.finish = () => {
+    if (conn.closed) return;
+    conn.closed = true;
+    clearInterval(conn.heartbeat);
+    clearTimeout(conn.closeTimer);
+    socket.destroy();
+    onClose();
+  };
+
+  // Ping everyone regularly; whoever hasn't answered the previous ping
+  // by the next one is gone.
+  conn.heartbeat = setInterval(() => {
+    if (!conn.alive) {
+      conn.finish();
+      return;
+    }
+    conn.alive = false;
+    conn.pingSentAt = Date.now();
+    sendFrame(socket, OPCODE.ping, Buffer.alloc(0));
+  }, HEARTBEAT_INTERVAL);
+
+  socket.on('data', (chunk) => {
+    if (conn.closed) return;
+    stats.bytesIn += chunk.length;
+    // Append to existing buffer
+    conn.buffer = Buffer.concat([conn.buffer, chunk]);
+    const error = parseBuffer(conn, (opcode, fin, payload) => handleFrame(conn, opcode, fin, payload, onMessage));
+    if (error) closeWS(conn, error.code, error.reason);
+  });
+  socket.on('close', conn.finish);
+  socket.on('error', conn.finish);
+  return conn;
+}
+
+// Decode every complete frame in `conn.buffer`, calling
+// onFrame(opcode, fin, payload) for each with the unmasked payload as
+// a Buffer. Partial frames are kept in the buffer until the rest
+// arrives. Returns { code, reason } when the peer broke the protocol
+// and must be disconnected.
+function parseBuffer(conn, onFrame) {
+  let buf = conn.buffer;
+  let error = null;
+  while (!conn.closed) {
+    if (buf.length < 2) break;
+    const byte1 = buf[0];
+    const byte2 = buf[1];
+    const fin = (byte1 & 0x80) !== 0;
+    const opcode = byte1 & 0x0f;
+    const masked = (byte2 & 0x80) !== 0;
+    let length = byte2 & 0x7f;
+    let offset = 2;
+    if ((byte1 & 0x70) !== 0) {
+      error = { code: CLOSE.protocolError, reason: 'No extensions negotiated' };
+      break;
+    }
+    if (!masked) {
+      error = { code: CLOSE.protocolError, reason: 'Client frames must be masked' };
+      break;
+    }
+    if (length === 126) {
+      if (buf.length < 4) break;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) break;
+      const high = buf.readUInt32BE(2);
+      const low = buf.readUInt32BE(6);
+      length = high * 2 ** 32 + low;
+      offset = 10;
+    }
+    // Refuse oversized frames before buffering them
+    if (length > MAX_PAYLOAD) {
+      error = { code: CLOSE.tooBig, reason: 'Frame too large' };
+      break;
+    }
+    if (buf.length < offset + 4 + length) break;
+    const mask = buf.slice(offset, offset + 4);
+    offset += 4;
+    const payload = buf.slice(offset, offset + length);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    buf = buf.slice(offset + length);
+    error = onFrame(opcode, fin, payload);
+    if (error) break;
+  }
+  conn.buffer = buf;
+  return error;
+}
+
+// Handle one frame: answer control frames, reassemble fragments and
+// hand complete messages to onMessage. Returns { code, reason } on a
+// protocol violation.
+function handleFrame(conn, opcode, fin, payload, onMessage) {
+  // Once either side has sent a close frame only its reply matters
+  if (conn.closing && opcode !== OPCODE.close) return null;
+  if (opcode >= 0x8) {
+    // Control frames may arrive between fragments but are never fragmented
+    if (!fin || payload.length > 125) return { code: CLOSE.protocolError, reason: 'Invalid control frame' };
+    if (opcode === OPCODE.ping) {
+      sendFrame(conn.socket, OPCODE.pong, payload);
+    } else if (opcode === OPCODE.pong) {
+      conn.alive = true;
+      if (conn.pingSentAt) conn.rtt = Date.now() - conn.pingSentAt;
+    } else if (opcode === OPCODE.close) {
+      // Echo the status code back, then hang up. If we started the
+      // close this is the reply we were waiting for.
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE.noStatus;
+      if (!conn.closing) {
+        conn.closing = true;
+        sendClose(conn.socket, code === CLOSE.noStatus ? null : code);
+      }
+      conn.socket.end();
+      conn.finish();
+    } else {
+      return { code: CLOSE.protocolError, reason: 'Unknown opcode' };
+    }
+    return null;
+  }
+
+  if (opcode === OPCODE.continuation) {
+    if (!conn.fragments) return { code: CLOSE.protocolError, reason: 'Unexpected continuation frame' };
+    conn.fragments.parts.push(payload);
+    conn.fragments.size += payload.length;
+    if (conn.fragments.size > MAX_PAYLOAD) return { code: CLOSE.tooBig, reason: 'Message too large' };
+    if (!fin) return null;
+    const { opcode: messageOpcode, parts } = conn.fragments;
+    conn.fragments = null;
+    return deliver(messageOpcode, Buffer.concat(parts), onMessage);
+  }
+
+  if (opcode !== OPCODE.text && opcode !== OPCODE.binary) {
+    return { code: CLOSE.protocolError, reason: 'Unknown opcode' };
+  }
+  if (conn.fragments) return { code: CLOSE.protocolError, reason: 'Expected continuation frame' };
+  if (!fin) {
+    conn.fragments = { opcode, parts: [payload], size: payload.length };
+    return null;
+  }
+  return deliver(opcode, payload, onMessage);
+}
+
+function deliver(opcode, payload, onMessage) {
+  if (opcode === OPCODE.text) {
+    try {
+      utf8.decode(payload);
+    } catch (e) {
+      return { code: CLOSE.invalidData, reason: 'Invalid UTF-8' };
+    }
+  }
+  stats.messagesIn++;
+  onMessage(opcode, payload);
+  return null;
+}
+
+function sendFrame(socket, opcode, dataBuf) {
+  if (socket.destroyed || socket.writableEnded) return;
+  const payloadLength = dataBuf.length;
+  const firstByte = 0x80 | opcode; // FIN bit set
+  let header;
+  if (payloadLength < 126) {
+    header = Buffer.alloc(2);
+    header[0] = firstByte;
+    header[1] = payloadLength;
+  } else if (payloadLength < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = firstByte;
+    header[1] = 126;
+    header.writeUInt16BE(payloadLength, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = firstByte;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payloadLength), 2);
+  }
+  if (opcode === OPCODE.text || opcode === OPCODE.binary) stats.messagesOut++;
+  stats.bytesOut += header.length + payloadLength;
+  socket.write(Buffer.concat([header, dataBuf]));
+}
+
+function sendClose(socket, code, reason = '') {
+  let payload = Buffer.alloc(0);
+  if (code) {
+    // Reasons must fit in a control frame
+    const reasonBuf = Buffer.from(reason).slice(0, 123);
+    payload = Buffer.alloc(2 + reasonBuf.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuf.copy(payload, 2);
+  }
+  sendFrame(socket, OPCODE.close, payload);
+}
+
+// Start the closing handshake from our side. The socket is destroyed
+// when the peer answers, or after CLOSE_TIMEOUT if it doesn't.
+function closeWS(conn, code = CLOSE.normal, reason = '') {
+  if (conn.closing || conn.closed) return;
+  conn.closing = true;
+  sendClose(conn.socket, code, reason);
+  conn.closeTimer = setTimeout(conn.finish, CLOSE_TIMEOUT);
+}
+
+function sendWS(socket, data, stringified = false) {
+  // Binary payloads (Buffer/Uint8Array) go out as binary frames;
+  // anything else is either an object (to be JSON stringified) or
+  // pre‑stringified text.
+  if (data instanceof Uint8Array) {
+    sendFrame(socket, OPCODE.binary, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  } else {
+    sendFrame(socket, OPCODE.text, Buffer.from(stringified ? data : JSON.stringify(data)));
+  }
+}
+
+module.exports = { CLOSE, acceptUpgrade, attachConnection, closeWS, parseBuffer, rejectUpgrade, sendWS, stats };
@@ -0,0 +1,209 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154/build/three.module.js';
+
+/*
+ * Sound effects.
+ *
+ * The game ships no sound files: every sound is synthesized into an
+ * AudioBuffer once, when the audio starts, from noise, tones and
+ * envelopes. The listener rides on the camera. Sounds made somewhere in
+ * the world (other players' shots, steps and deaths) are
+ * THREE.PositionalAudio objects left at that spot until they end, so
+ * they pan and fade with distance; our own sounds play flat.
+ *
+ * Every sound goes through the effects bus (SFX volume), then the
+ * listener's master volume, which mute sets to 0. Browsers keep audio
+ * suspended until the user interacts with the page, so resume() must be
+ * called from a click or key press; until then nothing plays.
+ */
+
+const STRIDE = 2.2; // metres between footsteps
+const CROUCH_STRIDE = 1.4;
+const MAX_STEP_MOVE = 2; // metres in one frame; anything more is a teleport
+
+// How far sounds carry: full volume up to `ref` metres, then fading
+// with the distance
+const REF_DISTANCE = { gunshot: 8, step: 2, slide: 3, death: 4 };
+
+// The sound of each weapon
+const GUNSHOTS = {
+  rifle: { duration: 0.35, cutoff: 3000, decay: 14, thump: 110 },
+  shotgun: { duration: 0.6, cutoff: 1800, decay: 8, thump: 70 },
+  pistol: { duration: 0.25, cutoff: 4000, decay: 20, thump: 150 },
+  sniper: { duration: 1, cutoff: 1400, decay: 5, thump: 55 },
+};
+
+export class GameAudio {
+  // `camera` carries the listener, `scene` the sounds made in the world
+  constructor(camera, scene) {
+    this.scene = scene;
+    this.listener = new THREE.AudioListener();
+    camera.add(this.listener);
+    this.context = this.listener.context;
+    this.sfx = this.context.createGain();
+    this.sfx.connect(this.listener.getInput());
+    this.buffers = createSounds(this.context);
+    this.walked = new Map(); // who -> metres since their last step
+  }
+
+  resume() {
+    if (this.context.state === 'suspended') this.context.resume();
+  }
+
+  // Volumes from the settings, 0 to 1
+  setVolume({ masterVolume, sfxVolume, muted }) {
+    this.listener.setMasterVolume(muted ? 0 : masterVolume);
+    this.sfx.gain.value = sfxVolume;
+  }
+
+  // Play sound `name`, at `position` ({x, y, z}) in the world or, without
+  // one, as a sound of our own
+  play(name, { position = null, volume = 1, rate = 1 } = {}) {
+    const buffer = this.buffers[name];
+    // Sounds started while suspended would all go off at once later
+    if (!buffer || this.context.state !== 'running') return;
+    const sound = position ? new THREE.PositionalAudio(this.listener) : new THREE.Audio(this.listener);
+    sound.gain.disconnect();
+    sound.gain.connect(this.sfx);
+    sound.setBuffer(buffer);
+    sound.setVolume(volume);
+    sound.setPlaybackRate(rate);
+    sound.onEnded = () => {
+      sound.isPlaying = false;
+      sound.gain.disconnect();
+      if (sound.parent) sound.parent.remove(sound);
+    };
+    if (position) {
+      sound.setRefDistance(REF_DISTANCE[name.split('.')[0]] || 2);
+      sound.position.set(position.x, position.y, position.z);
+      this.scene.add(sound);
+      sound.play();
+      placePanner(sound.panner, position, this.context.currentTime);
+    } else {
+      sound.play();
+    }
+  }
+
+  gunshot(weaponId, position = null) {
+    const name = GUNSHOTS[weaponId] ? `gunshot.${weaponId}` : 'gunshot.rifle';
+    this.play(name, { position, rate: 0.95 + Math.random() * 0.1 });
+  }
+
+  // `who` moved `distance` metres over the ground. Steps sound every
+  // stride, so they follow the speed; crouching steps are shorter and
+  // quieter. Leave out `position` for our own steps.
+  moved(who, distance, { crouching = false, position = null } = {}) {
+    if (distance > MAX_STEP_MOVE) return;
+    const walked = (this.walked.get(who) || 0) + distance;
+    if (walked < (crouching ? CROUCH_STRIDE : STRIDE)) {
+      this.walked.set(who, walked);
+      return;
+    }
+    this.walked.set(who, 0);
+    this.play('step', { position, volume: crouching ? 0.25 : 0.6, rate: 0.85 + Math.random() * 0.3 });
+  }
+}
+
+// The panner follows its object from the next frame on; until then it
+// would sit at the origin
+function placePanner(panner, { x, y, z }, now) {
+  if (panner.positionX) {
+    panner.positionX.setValueAtTime(x, now);
+    panner.positionY.setValueAtTime(y, now);
+    panner.positionZ.setValueAtTime(z, now);
+  } else {
+    panner.setPosition(x, y, z);
+  }
+}
+
+function createSounds(context) {
+  const rate = context.sampleRate;
+  const sounds = {
+    step: render(context, 0.12, footstep(rate)),
+    slide: render(context, 0.6, slide(rate)),
+    reload: render(context, 0.7, reload(rate)),
+    hit: render(context, 0.08, (t) => Math.sin(2 * Math.PI * 1800 * t) * Math.exp(-t * 50) * 0.5),
+    headshot: render(context, 0.16, headshot),
+    death: render(context, 0.9, death(rate)),
+  };
+  for (const [id, gunshot] of Object.entries(GUNSHOTS)) {
+    sounds[`gunshot.${id}`] = render(context, gunshot.duration, shot(rate, gunshot));
+  }
+  return sounds;
+}
+
+// A mono buffer of `duration` seconds, one `sample(t)` at a time
+function render(context, duration, sample) {
+  const rate = context.sampleRate;
+  const buffer = context.createBuffer(1, Math.ceil(duration * rate), rate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = sample(i / rate);
+  return buffer;
+}
+
+// White noise through a one-pole low-pass filter at `cutoff` Hz
+function noise(rate, cutoff) {
+  const a = 1 - Math.exp((-2 * Math.PI * cutoff) / rate);
+  let y = 0;
+  return () => {
+    y += a * (Math.random() * 2 - 1 - y);
+    return y;
+  };
+}
+
+// A crack of unfiltered noise, the blast, and a low thump under it
+function shot(rate, { cutoff, decay, thump }) {
+  const blast = noise(rate, cutoff);
+  return (t) => {
+    const crack = t < 0.006 ? Math.random() * 2 - 1 : 0;
+    const body = blast() * 3 * Math.exp(-t * decay);
+    const low = Math.sin(2 * Math.PI * thump * t) * Math.exp(-t * decay * 1.5);
+    return Math.tanh(crack + body + low);
+  };
+}
+
+function footstep(rate) {
+  const scuff = noise(rate, 700);
+  return (t) => {
+    const attack = Math.min(1, t / 0.004);
+    const thud = Math.sin(2 * Math.PI * 80 * t) * Math.exp(-t * 40);
+    return (scuff() * 3 + thud) * attack * Math.exp(-t * 35) * 0.6;
+  };
+}
+
+// Scraping over the floor, rough and slowly fading
+function slide(rate) {
+  const scrape = noise(rate, 2500);
+  return (t) => {
+    const attack = Math.min(1, t / 0.03);
+    const rough = 0.7 + 0.3 * Math.sin(2 * Math.PI * 23 * t);
+    return scrape() * 1.6 * rough * attack * Math.exp(-t * 4);
+  };
+}
+
+// Magazine out, magazine in, bolt forward
+function reload(rate) {
+  const clicks = [0, 0.3, 0.55];
+  const rattle = noise(rate, 5000);
+  return (t) => {
+    const since = t - clicks.filter((at) => at <= t).pop();
+    const envelope = Math.exp(-since * 120);
+    return (rattle() + Math.sin(2 * Math.PI * 2200 * since) * 0.5) * envelope * 0.7;
+  };
+}
+
+// Two rising pings
+function headshot(t) {
+  const second = t >= 0.07;
+  const since = second ? t - 0.07 : t;
+  return Math.sin(2 * Math.PI * (second ? 3000 : 2400) * since) * Math.exp(-since * 45) * 0.5;
+}
+
+// A falling tone
+function death(rate) {
+  let phase = 0;
+  return (t) => {
+    const frequency = 440 * Math.pow(70 / 440, t / 0.9);
+    phase += (2 * Math.PI * frequency) / rate;
+    return Math.tanh(3 * Math.sin(phase)) * Math.exp(-t * 3) * 0.4;
+  };
+}
@@ -0,0 +1,83 @@
+/*
+ * User interface translations.
+ *
+ * Every string the player sees comes from a locale file in locales/: a
+ * JSON object of (nested) keys to strings, where `{name}` marks a value
+ * filled in at run time. t('death.killedBy', { name }) looks up
+ * "death" -> "killedBy". Keys a locale lacks fall back to Dutch, the
+ * game's first language, and a key missing everywhere shows as itself.
+ *
+ * Static text in index.html is marked with data-i18n (text),
+ * data-i18n-placeholder and data-i18n-title attributes; translatePage()
+ * fills those in. Everything built in code calls t() directly.
+ */
+
+// Locales we ship, by language code, with their own name for the picker
+export const LOCALES = { nl: 'Nederlands', en: 'English' };
+const FALLBACK_LOCALE = 'nl';
+// For browsers that prefer a language we don't have
+const DEFAULT_LOCALE = 'en';
+
+const loaded = new Map(); // code -> strings
+let current = FALLBACK_LOCALE;
+
+async function fetchLocale(code) {
+  if (!loaded.has(code)) {
+    const res = await fetch(`locales/${code}.json`);
+    if (!res.ok) throw new Error(`Cannot load locale ${code}: ${res.status}`);
+    loaded.set(code, await res.json());
+  }
+  return loaded.get(code);
+}
+
+// The first of the browser's preferred languages that we have
+export function detectLocale() {
+  for (const tag of navigator.languages || [navigator.language]) {
+    const code = String(tag).toLowerCase().split('-')[0];
+    if (LOCALES[code]) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Switch to `code`; anything we don't have means the detected locale
+export async function setLocale(code) {
+  if (!LOCALES[code]) code = detectLocale();
+  await Promise.all([fetchLocale(code), fetchLocale(FALLBACK_LOCALE)]);
+  current = code;
+  document.documentElement.lang = code;
+}
+
+export function locale() {
+  return current;
+}
+
+function lookup(strings, key) {
+  let value = strings;
+  for (const part of key.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return typeof value === 'string' ? value : undefined;
+}
+
+function find(key) {
+  return lookup(loaded.get(current) || {}, key) ?? lookup(loaded.get(FALLBACK_LOCALE) || {}, key);
+}
+
+// Whether `key` has a translation
+export function has(key) {
+  return find(key) !== undefined;
+}
+
+export function t(key, params = {}) {
+  const text = find(key);
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Fill in the static text marked in the HTML
+export function translatePage(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for (const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+}
@@ -1,154 +1,933 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154/build/three.module.js';
 import { PointerLockControls } from 'https://cdn.jsdelivr.net/npm/three@0.154/examples/jsm/controls/PointerLockControls.js';
 import { CapsuleGeometry } from 'https://cdn.jsdelivr.net/npm/three@0.154/examples/jsm/geometries/CapsuleGeometry.js';
+import {
+  applyInput,
+  createCollisionWorld,
+  createMoveState,
+  MAX_INPUT_DT,
+  STAND_HEIGHT,
+  CROUCH_HEIGHT,
+} from './shared/movement.mjs';
+import { PROTOCOL_VERSION, encodeMessage, decodeMessage, quantizeInput } from './shared/protocol.mjs';
+import * as weapons from './shared/weapons.mjs';
+import { ReplayPlayer } from './replay.js';
+import { GameAudio } from './audio.js';
+import { LOCALES, has, locale, setLocale, t, translatePage } from './i18n.js';
+import {
+  ACTIONS,
+  CROSSHAIRS,
+  bindKey,
+  defaultSettings,
+  helpText,
+  keyLabel,
+  loadSettings,
+  saveSettings,
+} from './settings.js';
 
 // DOM elements
 const menu = document.getElementById('menu');
 const startBtn = document.getElementById('startBtn');
+const spectateBtn = document.getElementById('spectateBtn');
 const nameInput = document.getElementById('nameInput');
+const roomList = document.getElementById('roomList');
+const refreshRoomsBtn = document.getElementById('refreshRoomsBtn');
+const roomNameInput = document.getElementById('roomNameInput');
+const roomSizeInput = document.getElementById('roomSizeInput');
+const createRoomBtn = document.getElementById('createRoomBtn');
 const crosshair = document.getElementById('crosshair');
+const hitMarker = document.getElementById('hitMarker');
 const scoreboardDiv = document.getElementById('scoreboard');
 const endScreen = document.getElementById('endScreen');
 const resultsDiv = document.getElementById('results');
-const restartBtn = document.getElementById('restartBtn');
+const nextRoundDiv = document.getElementById('nextRound');
+const roomModeSelect = document.getElementById('roomModeSelect');
+const roomBotsInput = document.getElementById('roomBotsInput');
+const roomBotDifficultySelect = document.getElementById('roomBotDifficultySelect');
+const roomRespawnDelayInput = document.getElementById('roomRespawnDelayInput');
+const spectatorHint = document.getElementById('spectatorHint');
+const killFeedDiv = document.getElementById('killFeed');
+const hudDiv = document.getElementById('hud');
+const matchClockDiv = document.getElementById('matchClock');
+const damageIndicatorsDiv = document.getElementById('damageIndicators');
+const healthPanel = document.getElementById('healthPanel');
+const healthText = document.getElementById('healthText');
+const healthFill = document.getElementById('healthFill');
+const weaponNameDiv = document.getElementById('weaponName');
+const ammoText = document.getElementById('ammoText');
+const reloadBar = document.getElementById('reloadBar');
+const reloadFill = document.getElementById('reloadFill');
+const deathOverlay = document.getElementById('deathOverlay');
+const deathMessage = document.getElementById('deathMessage');
+const respawnCountdown = document.getElementById('respawnCountdown');
+const controlsHelp = document.getElementById('controlsHelp');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsPanel = document.getElementById('settingsPanel');
+const bindingsTable = document.getElementById('bindingsTable');
+const sensitivityInput = document.getElementById('sensitivityInput');
+const sensitivityValue = document.getElementById('sensitivityValue');
+const invertYInput = document.getElementById('invertYInput');
+const fovInput = document.getElementById('fovInput');
+const fovValue = document.getElementById('fovValue');
+const crosshairSelect = document.getElementById('crosshairSelect');
+const masterVolumeInput = document.getElementById('masterVolumeInput');
+const masterVolumeValue = document.getElementById('masterVolumeValue');
+const sfxVolumeInput = document.getElementById('sfxVolumeInput');
+const sfxVolumeValue = document.getElementById('sfxVolumeValue');
+const mutedInput = document.getElementById('mutedInput');
+const languageSelect = document.getElementById('languageSelect');
+const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+const chatDiv = document.getElementById('chat');
+const chatLog = document.getElementById('chatLog');
+const chatInput = document.getElementById('chatInput');
+const announcementDiv = document.getElementById('announcement');
+const replayList = document.getElementById('replayList');
+const watchReplayBtn = document.getElementById('watchReplayBtn');
+const leaderboardBtn = document.getElementById('leaderboardBtn');
+const leaderboardTable = document.getElementById('leaderboard');
+const leaderboardBody = document.getElementById('leaderboardBody');
+const replayControls = document.getElementById('replayControls');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayTimeLabel = document.getElementById('replayTimeLabel');
+const replayCameraBtn = document.getElementById('replayCameraBtn');
+const replayNextPlayerBtn = document.getElementById('replayNextPlayerBtn');
+const reconnectOverlay = document.getElementById('reconnectOverlay');
+const reconnectMessage = document.getElementById('reconnectMessage');
+const reconnectMenuBtn = document.getElementById('reconnectMenuBtn');
+const PROFILE_KEY = 'fps.profile'; // localStorage: { token, name } issued by the server
+const KILL_CAM_LENGTH = 3000; // ms of the killer's view shown after we die
+const HISTORY_LENGTH = 5000; // ms of snapshots kept for the kill-cam
+const KILL_FEED_TIME = 5000; // ms a kill stays in the feed
+const KILL_FEED_SIZE = 5;
+const CHAT_LINE_TIME = 10000; // ms a chat line shows while the chat is closed
+const CHAT_LOG_SIZE = 50;
+const DAMAGE_INDICATOR_TIME = 1000; // ms
+const DEATH_OVERLAY_TIME = 2000; // ms, when we respawn straight away
+const LOW_HEALTH = 30;
+const LOOK_SPEED = 0.002; // radians per pixel of mouse movement at sensitivity 1
+const RECONNECT_BASE_DELAY = 500; // ms before the first retry, doubling after every failure
+const RECONNECT_MAX_DELAY = 8000; // ms
+const MAX_RECONNECT_ATTEMPTS = 10;
 
 // Game state
 let socket;
 let playerId = null;
 let playerName = '';
-const players = new Map(); // id -> { mesh, name, kills, deaths, state }
+// Our profile; the token proves to the server that the name is ours
+let profile = loadProfile();
+let selectedRoomId = null;
+let selectedReplayId = null;
+// Set while watching a replay instead of playing; drives the clock
+let replayPlayer = null;
+const players = new Map(); // id -> { mesh, name, team, kills, deaths, state }
 let localState = null;
+let localTeam = null;
 let localKills = 0;
 let localDeaths = 0;
 
 // Movement state
 const keys = {};
-let lastShotTime = 0;
-const reloadTime = 1.5; // seconds
-let ammo = 30;
-const maxAmmo = 30;
-let reloading = false;
-let slideTimer = 0;
-const slideDuration = 0.4;
-
-// Match timer
-const matchDuration = 300; // seconds
-let matchStartTime = null;
+let mouseHeld = false;
+
+// Player settings (see settings.js). A running game sets
+// `onSettingsChanged` to apply changes straight away.
+let settings = loadSettings();
+let onSettingsChanged = () => {};
+
+// All text on screen comes from the locale files (see i18n.js)
+await setLocale(settings.language);
+translatePage();
+
+// Whether the key bound to `action` is held down
+function held(action) {
+  return !!keys[settings.bindings[action]];
+}
+
+// Weapons. The loadout is predicted locally with the shared rules (all
+// times in server time); the server corrects it with `weaponState`.
+let loadout = weapons.createLoadout();
+
+// Game mode of the room we're in, as sent in `modeState`. `teams` maps
+// team id -> score in team modes and is null in free-for-all.
+const modeState = { mode: 'ffa', teams: null, scoreLimit: 0, flags: [] };
+const TEAM_COLORS = { red: 0xcc3333, blue: 0x3366cc };
+const NO_TEAM_COLOR = 0x0077cc;
+
+// Match state as announced by the server. Timestamps are in server
+// time; `clockOffset` converts our own Date.now() to that clock.
+const match = { phase: null, round: 0, startedAt: 0, endsAt: 0 };
+let clockOffset = 0;
 let matchEnded = false;
 
-startBtn.addEventListener('click', () => {
-  playerName = nameInput.value.trim() || `Speler${Math.floor(Math.random() * 1000)}`;
+// Networking rates. Remote players are drawn slightly in the past so
+// there are always two snapshots to interpolate between.
+const sendInterval = 1 / 30; // seconds between input batches
+const interpDelay = 100; // ms
+let snapshotOffset = null; // server snapshot clock minus our Date.now(), smoothed
+
+function loadProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveProfile(token, name) {
+  profile = { token, name };
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+}
+
+nameInput.value = profile.name || '';
+
+function enterRoom(spectate) {
+  if (selectedRoomId === null) return;
+  // Left blank, the server keeps our profile name or picks one
+  playerName = nameInput.value.trim();
+  menu.style.display = 'none';
+  initGame({ roomId: selectedRoomId, spectate });
+}
+
+startBtn.addEventListener('click', () => enterRoom(false));
+spectateBtn.addEventListener('click', () => enterRoom(true));
+
+// Settings panel, from the menu or in game. Clicking a binding waits
+// for the next key; Escape cancels.
+let rebinding = null; // action waiting for a key
+
+function renderSettings() {
+  bindingsTable.innerHTML = '';
+  for (const action of ACTIONS) {
+    const row = bindingsTable.insertRow();
+    row.insertCell().textContent = t(`action.${action}`);
+    const button = document.createElement('button');
+    button.textContent = action === rebinding ? t('settings.pressKey') : keyLabel(settings.bindings[action]);
+    button.classList.toggle('waiting', action === rebinding);
+    button.addEventListener('click', () => {
+      rebinding = action;
+      renderSettings();
+    });
+    row.insertCell().appendChild(button);
+  }
+  sensitivityInput.value = String(settings.sensitivity);
+  sensitivityValue.textContent = settings.sensitivity.toFixed(1);
+  invertYInput.checked = settings.invertY;
+  fovInput.value = String(settings.fov);
+  fovValue.textContent = `${settings.fov}°`;
+  crosshairSelect.innerHTML = '';
+  for (const id of Object.keys(CROSSHAIRS)) crosshairSelect.add(new Option(t(`crosshair.${id}`), id));
+  crosshairSelect.value = settings.crosshair;
+  masterVolumeInput.value = String(settings.masterVolume);
+  masterVolumeValue.textContent = `${Math.round(settings.masterVolume * 100)}%`;
+  sfxVolumeInput.value = String(settings.sfxVolume);
+  sfxVolumeValue.textContent = `${Math.round(settings.sfxVolume * 100)}%`;
+  mutedInput.checked = settings.muted;
+  controlsHelp.textContent = helpText(settings.bindings);
+}
+
+function settingsChanged() {
+  saveSettings(settings);
+  renderSettings();
+  onSettingsChanged();
+}
+
+function openSettings() {
+  // Keys held down now would never see their keyup
+  for (const code of Object.keys(keys)) keys[code] = false;
+  settingsPanel.classList.remove('hidden');
+  renderSettings();
+}
+
+function closeSettings() {
+  rebinding = null;
+  settingsPanel.classList.add('hidden');
+}
+
+function settingsOpen() {
+  return !settingsPanel.classList.contains('hidden');
+}
+
+// Runs before the game's own key handling, so a key being bound does nothing else
+document.addEventListener(
+  'keydown',
+  (e) => {
+    if (rebinding === null) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.code !== 'Escape') bindKey(settings, rebinding, e.code);
+    rebinding = null;
+    settingsChanged();
+  },
+  true,
+);
+
+sensitivityInput.addEventListener('input', () => {
+  settings.sensitivity = Number(sensitivityInput.value);
+  settingsChanged();
+});
+invertYInput.addEventListener('change', () => {
+  settings.invertY = invertYInput.checked;
+  settingsChanged();
+});
+fovInput.addEventListener('input', () => {
+  settings.fov = Number(fovInput.value);
+  settingsChanged();
+});
+crosshairSelect.addEventListener('change', () => {
+  settings.crosshair = crosshairSelect.value;
+  settingsChanged();
+});
+masterVolumeInput.addEventListener('input', () => {
+  settings.masterVolume = Number(masterVolumeInput.value);
+  settingsChanged();
+});
+sfxVolumeInput.addEventListener('input', () => {
+  settings.sfxVolume = Number(sfxVolumeInput.value);
+  settingsChanged();
+});
+mutedInput.addEventListener('change', () => {
+  settings.muted = mutedInput.checked;
+  settingsChanged();
+});
+resetSettingsBtn.addEventListener('click', () => {
+  // The language has its own picker in the menu
+  settings = { ...defaultSettings(), language: settings.language };
+  rebinding = null;
+  settingsChanged();
+});
+closeSettingsBtn.addEventListener('click', closeSettings);
+settingsBtn.addEventListener('click', openSettings);
+renderSettings();
+
+// Language picker. Switching redraws everything the menu shows.
+for (const [code, name] of Object.entries(LOCALES)) languageSelect.add(new Option(name, code));
+languageSelect.value = locale();
+languageSelect.addEventListener('change', async () => {
+  settings.language = languageSelect.value;
+  saveSettings(settings);
+  await setLocale(settings.language);
+  translatePage();
+  renderSettings();
+  refreshRooms();
+  refreshReplays();
+});
+
+// Room browser
+async function refreshRooms() {
+  let rooms = [];
+  try {
+    const res = await fetch('/api/rooms');
+    rooms = await res.json();
+  } catch (e) {
+    // Leave the list empty; the player can retry with the refresh button
+  }
+  // Keep the current selection if the room still exists, otherwise pick the
+  // first open room. Full rooms can still be selected to watch them.
+  const open = rooms.filter((r) => r.players < r.maxPlayers);
+  if (!rooms.some((r) => r.id === selectedRoomId)) {
+    selectedRoomId = open.length ? open[0].id : null;
+  }
+  roomList.innerHTML = '';
+  rooms.forEach((room) => {
+    const li = document.createElement('li');
+    const full = room.players >= room.maxPlayers;
+    const mode = t(`mode.${room.mode}`);
+    const bots = room.bots ? ` ${t('rooms.botCount', { count: room.bots })}` : '';
+    const spectators = room.spectators ? `, ${t('rooms.spectatorCount', { count: room.spectators })}` : '';
+    const players = `${room.players}/${room.maxPlayers}${bots}${spectators}`;
+    const name = room.name || t('rooms.defaultName', { id: room.id });
+    li.textContent = `${name} - ${mode} (${players})${full ? ` - ${t('rooms.full')}` : ''}`;
+    if (full) li.classList.add('full');
+    if (room.id === selectedRoomId) li.classList.add('selected');
+    li.addEventListener('click', () => {
+      selectedRoomId = room.id;
+      refreshRooms();
+    });
+    roomList.appendChild(li);
+  });
+  const selected = rooms.find((r) => r.id === selectedRoomId);
+  startBtn.disabled = !selected || selected.players >= selected.maxPlayers;
+  spectateBtn.disabled = !selected;
+}
+
+refreshRoomsBtn.addEventListener('click', refreshRooms);
+
+createRoomBtn.addEventListener('click', async () => {
+  try {
+    const res = await fetch('/api/rooms', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: roomNameInput.value,
+        maxPlayers: Number(roomSizeInput.value),
+        mode: roomModeSelect.value,
+        bots: Number(roomBotsInput.value),
+        botDifficulty: roomBotDifficultySelect.value,
+        respawnDelay: Number(roomRespawnDelayInput.value),
+      }),
+    });
+    if (!res.ok) throw new Error(res.statusText);
+    const room = await res.json();
+    selectedRoomId = room.id;
+    roomNameInput.value = '';
+  } catch (e) {
+    alert(t('rooms.createFailed'));
+  }
+  refreshRooms();
+});
+
+refreshRooms();
+
+// Replay browser
+async function refreshReplays() {
+  let replays = [];
+  try {
+    const res = await fetch('/api/replays');
+    replays = await res.json();
+  } catch (e) {
+    // No list; nothing to watch
+  }
+  replayList.innerHTML = '';
+  replays.forEach((replay) => {
+    const li = document.createElement('li');
+    const date = new Date(replay.date).toLocaleString(locale());
+    li.textContent = t('replays.entry', { date, room: replay.room, round: replay.round });
+    if (replay.id === selectedReplayId) li.classList.add('selected');
+    li.addEventListener('click', () => {
+      selectedReplayId = replay.id;
+      refreshReplays();
+    });
+    replayList.appendChild(li);
+  });
+  watchReplayBtn.disabled = selectedReplayId === null;
+}
+
+watchReplayBtn.addEventListener('click', async () => {
+  if (selectedReplayId === null) return;
+  let replay;
+  try {
+    const res = await fetch(`/api/replays/${encodeURIComponent(selectedReplayId)}`);
+    if (!res.ok) throw new Error(res.statusText);
+    replay = await res.json();
+  } catch (e) {
+    alert(t('replays.loadFailed'));
+    return;
+  }
   menu.style.display = 'none';
-  initGame();
+  initGame({ replay });
 });
 
-restartBtn.addEventListener('click', () => {
-  location.reload();
+refreshReplays();
+
+// Leaderboard, from everyone's lifetime stats on the server
+leaderboardBtn.addEventListener('click', async () => {
+  leaderboardTable.classList.toggle('hidden');
+  if (leaderboardTable.classList.contains('hidden')) return;
+  let rows = [];
+  try {
+    const res = await fetch('/api/leaderboard');
+    rows = await res.json();
+  } catch (e) {
+    // Show an empty table
+  }
+  leaderboardBody.innerHTML = '';
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    if (row.name === profile.name) tr.classList.add('selected');
+    const cells = [
+      row.name,
+      row.kills,
+      row.deaths,
+      row.kd.toFixed(2),
+      `${Math.round(row.accuracy * 100)}%`,
+      row.headshots,
+      row.matches,
+      row.wins,
+    ];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    leaderboardBody.appendChild(tr);
+  });
 });
 
-function initGame() {
+function serverNow() {
+  if (replayPlayer) return replayPlayer.time;
+  return Date.now() + clockOffset;
+}
+
+// The point in server time at which remote players are rendered
+function renderTime() {
+  if (replayPlayer) return replayPlayer.time - interpDelay;
+  return Date.now() + snapshotOffset - interpDelay;
+}
+
+// Player names and chat come from other players: anything that goes
+// into innerHTML must pass through here
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function lerpAngle(a, b, t) {
+  let diff = (b - a) % (2 * Math.PI);
+  if (diff > Math.PI) diff -= 2 * Math.PI;
+  if (diff < -Math.PI) diff += 2 * Math.PI;
+  return a + diff * t;
+}
+
+function formatTime(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Set up the scene and either join `roomId` (as a player, or with
+// `spectate` as a spectator) or play back `replay`, a recorded match. A
+// replay runs through the same message handling as a live game.
+// Spectators and replays are watched by an observer camera that is not
+// a player.
+function initGame({ roomId = null, replay = null, spectate = false }) {
+  const observer = Boolean(replay) || spectate;
   // Create scene, camera, renderer
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x202020);
-  const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+  const camera = new THREE.PerspectiveCamera(settings.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
   camera.position.set(0, 1.6, 0);
   const renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
   document.body.appendChild(renderer.domElement);
+  const audio = new GameAudio(camera, scene);
 
-  // Lighting
-  const ambient = new THREE.AmbientLight(0xffffff, 0.4);
-  scene.add(ambient);
-  const directional = new THREE.DirectionalLight(0xffffff, 0.6);
-  directional.position.set(5, 10, 7);
-  scene.add(directional);
-
-  // Controls
+  // Controls. PointerLockControls only handles the pointer lock; we
+  // turn the camera ourselves to apply sensitivity and invert-Y.
   const controls = new PointerLockControls(camera, renderer.domElement);
-  document.addEventListener('click', () => {
+  controls.pointerSpeed = 0;
+  const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+  document.addEventListener('mousemove', (e) => {
+    if (!controls.isLocked) return;
+    const speed = LOOK_SPEED * settings.sensitivity;
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y -= e.movementX * speed;
+    lookEuler.x -= e.movementY * speed * (settings.invertY ? -1 : 1);
+    lookEuler.x = Math.max(-Math.PI / 2 + 0.001, Math.min(Math.PI / 2 - 0.001, lookEuler.x));
+    camera.quaternion.setFromEuler(lookEuler);
+  });
+  document.addEventListener('click', (e) => {
+    // Browsers only let a page make sound once the user has done something
+    audio.resume();
+    // The settings panel is used with the pointer free
+    if (settingsOpen()) return;
+    // Replay controls need the mouse; only the view itself grabs it
+    if (replay && e.target !== renderer.domElement) return;
+    // Spectators click through the players
+    if (spectate && controls.isLocked) followNextPlayer();
     if (!controls.isLocked && !matchEnded) controls.lock();
   });
 
-  // Map: floor
-  const floorGeo = new THREE.PlaneGeometry(50, 50);
-  const floorMat = new THREE.MeshStandardMaterial({ color: 0x444444 });
-  const floor = new THREE.Mesh(floorGeo, floorMat);
-  floor.rotation.x = -Math.PI / 2;
-  scene.add(floor);
-
-  // Walls / obstacles
-  const wallGeo = new THREE.BoxGeometry(3, 2, 1);
-  const wallMat = new THREE.MeshStandardMaterial({ color: 0x556b2f });
-  // Place a few random obstacles
-  const obstaclePositions = [
-    { x: -5, z: -5 },
-    { x: 8, z: 3 },
-    { x: -10, z: 10 },
-    { x: 5, z: -10 },
-  ];
-  obstaclePositions.forEach((pos) => {
-    const wall = new THREE.Mesh(wallGeo, wallMat);
-    wall.position.set(pos.x, 1, pos.z);
-    scene.add(wall);
-  });
+  // Map geometry lives in its own group so a new map can replace it.
+  // The server tells us which map to load after we join a room.
+  let world = null;
+  let worldName = null;
+  // What the movement code collides with: obstacles, ramps, floor edges
+  let collisionWorld = { boxes: [], ramps: [], bounds: { x: Infinity, z: Infinity } };
 
-  // Data structure for obstacles for collision detection
-  const obstacleBoxes = [];
-  obstaclePositions.forEach((pos) => {
-    obstacleBoxes.push({ min: { x: pos.x - 1.5, y: 0, z: pos.z - 0.5 }, max: { x: pos.x + 1.5, y: 2, z: pos.z + 0.5 } });
-  });
+  async function loadMap(name) {
+    // Replays send the map again on every seek
+    if (name === worldName) return;
+    worldName = name;
+    const res = await fetch(`maps/${name}.json`);
+    const map = await res.json();
+    if (world) scene.remove(world);
+    world = buildWorld(map);
+    scene.add(world);
+    scene.background = new THREE.Color(map.background || '#202020');
+    collisionWorld = createCollisionWorld(map);
+  }
+
+  function buildWorld(map) {
+    const group = new THREE.Group();
+    // Lighting
+    const { ambient, directional } = map.lighting || {};
+    group.add(new THREE.AmbientLight(ambient?.color ?? '#ffffff', ambient?.intensity ?? 0.4));
+    const sun = new THREE.DirectionalLight(directional?.color ?? '#ffffff', directional?.intensity ?? 0.6);
+    const sunPos = directional?.position || { x: 5, y: 10, z: 7 };
+    sun.position.set(sunPos.x, sunPos.y, sunPos.z);
+    group.add(sun);
+
+    // Floor
+    const floorGeo = new THREE.PlaneGeometry(map.floor.width, map.floor.depth);
+    const floorMat = new THREE.MeshStandardMaterial({ color: map.floor.color || '#444444' });
+    const floor = new THREE.Mesh(floorGeo, floorMat);
+    floor.rotation.x = -Math.PI / 2;
+    group.add(floor);
+
+    // Walls / obstacles
+    map.obstacles.forEach(({ position, size, color }) => {
+      const geo = new THREE.BoxGeometry(size.x, size.y, size.z);
+      const mat = new THREE.MeshStandardMaterial({ color: color || '#556b2f' });
+      const box = new THREE.Mesh(geo, mat);
+      box.position.set(position.x, position.y, position.z);
+      group.add(box);
+    });
+
+    // Ramps
+    (map.ramps || []).forEach((ramp) => {
+      const mat = new THREE.MeshStandardMaterial({ color: ramp.color || '#6b6b5f', side: THREE.DoubleSide });
+      const mesh = new THREE.Mesh(rampGeometry(ramp), mat);
+      mesh.position.set(ramp.position.x, ramp.position.y, ramp.position.z);
+      group.add(mesh);
+    });
+    return group;
+  }
+
+  // A wedge filling the box `size`, low at one end and full height at
+  // the end `rise` points to
+  function rampGeometry({ size, rise }) {
+    const hx = size.x / 2;
+    const hy = size.y / 2;
+    const hz = size.z / 2;
+    const sign = rise[0] === '-' ? -1 : 1;
+    // Corner from -1/1 steps along the slope, across it and up
+    const corner = (along, across, up) =>
+      rise[1] === 'x' ? [along * sign * hx, up * hy, across * hz] : [across * hx, up * hy, along * sign * hz];
+    const lowLeft = corner(-1, -1, -1);
+    const lowRight = corner(-1, 1, -1);
+    const backLeft = corner(1, -1, -1);
+    const backRight = corner(1, 1, -1);
+    const topLeft = corner(1, -1, 1);
+    const topRight = corner(1, 1, 1);
+    const triangles = [
+      [lowLeft, lowRight, topRight],
+      [lowLeft, topRight, topLeft],
+      [lowLeft, backLeft, backRight],
+      [lowLeft, backRight, lowRight],
+      [backLeft, topLeft, topRight],
+      [backLeft, topRight, backRight],
+      [lowLeft, topLeft, backLeft],
+      [lowRight, backRight, topRight],
+    ];
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(triangles.flat(2), 3));
+    geo.computeVertexNormals();
+    return geo;
+  }
 
   // Scoreboard UI
   function updateScoreboard() {
-    let html = '<h3>Scorebord</h3>';
+    let html = `<h3>${t('scoreboard.title')}</h3>`;
     // Build an array of all players including local player
     const list = [];
     for (const [id, p] of players.entries()) {
-      list.push({ id, name: p.name, kills: p.kills || 0, deaths: p.deaths || 0 });
+      list.push({ id, name: p.name, team: p.team, kills: p.kills || 0, deaths: p.deaths || 0 });
     }
-    list.push({ id: playerId, name: playerName, kills: localKills, deaths: localDeaths });
+    if (!observer) list.push({ id: playerId, name: playerName, team: localTeam, kills: localKills, deaths: localDeaths });
     list.sort((a, b) => b.kills - a.kills);
-    list.forEach((p) => {
-      const you = p.id === playerId ? ' (jij)' : '';
-      html += `<div>${p.name}${you}: ${p.kills} / ${p.deaths}</div>`;
-    });
-    html += `<div>Ammo: ${ammo}${reloading ? ' (herladen...)' : ''}</div>`;
+    const playerLine = (p) => {
+      const you = p.id === playerId ? ` ${t('scoreboard.you')}` : '';
+      return `<div>${escapeHTML(p.name)}${you}: ${p.kills} / ${p.deaths}</div>`;
+    };
+    if (modeState.teams) {
+      // Team modes: one block per team, headed by the team score
+      for (const [team, score] of Object.entries(modeState.teams)) {
+        const heading = `${t(`team.${team}`)}: ${score} / ${modeState.scoreLimit}`;
+        html += `<div class="team-${team}"><strong>${heading}</strong></div>`;
+        list.filter((p) => p.team === team).forEach((p) => (html += playerLine(p)));
+      }
+    } else {
+      list.forEach((p) => (html += playerLine(p)));
+    }
     scoreboardDiv.innerHTML = html;
   }
 
-  // Networking
-  const wsProto = location.protocol === 'https:' ? 'wss' : 'ws';
-  const socket = new WebSocket(`${wsProto}://${location.host}/ws`);
-  socket.onopen = () => {
-    // Initialize player state
+  // Settings that show in the running game
+  function applySettings() {
+    camera.fov = settings.fov;
+    camera.updateProjectionMatrix();
+    crosshair.textContent = CROSSHAIRS[settings.crosshair];
+    crosshair.classList.toggle('off', settings.crosshair === 'none');
+    audio.setVolume(settings);
+  }
+  applySettings();
+  onSettingsChanged = applySettings;
+
+  // HUD: match clock for everyone; health, ammo and reload progress
+  // for players. Redrawn every frame.
+  hudDiv.classList.remove('hidden');
+  healthPanel.classList.toggle('hidden', observer);
+  document.getElementById('ammoPanel').classList.toggle('hidden', observer);
+  function updateHUD() {
+    if (match.phase) {
+      const label = t(`clock.${match.phase}`);
+      matchClockDiv.textContent = `${label}: ${formatTime((match.endsAt - serverNow()) / 1000)}`;
+    }
+    updateDamageIndicators();
+    if (observer || !localState) return;
+    const health = Math.max(0, Math.round(localState.health));
+    healthText.textContent = t('hud.health', { health });
+    healthFill.style.width = `${health}%`;
+    healthPanel.classList.toggle('low', health <= LOW_HEALTH);
+    const now = serverNow();
+    weapons.updateLoadout(loadout, now);
+    const weapon = weapons.WEAPONS[loadout.current];
+    weaponNameDiv.textContent = t(`weapon.${weapon.id}`);
+    ammoText.textContent = `${loadout.ammo[weapon.id]} / ${weapon.magazine}`;
+    const reloading = weapons.isReloading(loadout);
+    reloadBar.classList.toggle('hidden', !reloading);
+    if (reloading) {
+      const left = (loadout.reloadEndsAt - now) / (weapon.reloadTime * 1000);
+      reloadFill.style.width = `${Math.min(100, (1 - left) * 100)}%`;
+    }
+    if (death) updateDeathOverlay(now);
+  }
+
+  // Damage indicators: one wedge per hit, pointing at where the
+  // attacker stood, turning with our view as it fades
+  const damageIndicators = []; // { element, from, until }
+  function showDamageIndicator(from) {
+    const element = document.createElement('div');
+    element.className = 'damage-indicator';
+    damageIndicatorsDiv.appendChild(element);
+    damageIndicators.push({ element, from, until: performance.now() + DAMAGE_INDICATOR_TIME });
+  }
+
+  function updateDamageIndicators() {
+    const now = performance.now();
+    viewEuler.setFromQuaternion(camera.quaternion);
+    for (let i = damageIndicators.length - 1; i >= 0; i--) {
+      const { element, from, until } = damageIndicators[i];
+      if (now >= until) {
+        element.remove();
+        damageIndicators.splice(i, 1);
+        continue;
+      }
+      // Same yaw convention as the movement code: 0 looks down -z,
+      // positive turns left. Screen rotation is clockwise.
+      const bearing = Math.atan2(-(from.x - camera.position.x), -(from.z - camera.position.z));
+      const angle = viewEuler.y - bearing;
+      element.style.transform = `rotate(${angle}rad) translateY(-120px)`;
+      element.style.opacity = String((until - now) / DAMAGE_INDICATOR_TIME);
+    }
+  }
+
+  // Death overlay: who killed us, and the respawn countdown if the room
+  // has a respawn delay. Without one it shows briefly.
+  let death = null; // { until, respawnAt } in server time while shown
+  function showDeathOverlay(killer, respawnAt) {
+    deathMessage.textContent = t('death.killedBy', { name: playerNameOf(killer) });
+    // With a delay it stays up until the server respawns us
+    death = respawnAt ? { until: Infinity, respawnAt } : { until: serverNow() + DEATH_OVERLAY_TIME, respawnAt: null };
+    deathOverlay.classList.remove('hidden');
+    updateDeathOverlay(serverNow());
+  }
+
+  function updateDeathOverlay(now) {
+    if (now >= death.until) {
+      hideDeathOverlay();
+      return;
+    }
+    const left = Math.max(0, Math.ceil((death.respawnAt - now) / 1000));
+    respawnCountdown.textContent = death.respawnAt ? t('death.respawnIn', { seconds: left }) : '';
+  }
+
+  function hideDeathOverlay() {
+    death = null;
+    deathOverlay.classList.add('hidden');
+  }
+
+  // Networking. Replays have no connection. When the connection drops
+  // we keep trying to get it back, waiting longer after every attempt;
+  // the resume token from our first `welcome` gets us our old place in
+  // the room back if the server still has it.
+  let socket = null;
+  // Whether we agreed on the binary protocol for high-frequency messages
+  let binaryProtocol = false;
+  let resumeToken = null; // set once we have joined
+  let pendingWelcome = null; // `welcome` of a connection asking to resume
+  let reconnecting = false;
+  let reconnectAttempt = 0;
+  let kickedMessage = null; // set when the server sent us away; we stay away
+  if (!replay) {
+    // Initialize player state; the server sends our spawn point after init
     localState = {
-      x: camera.position.x,
-      y: camera.position.y,
-      z: camera.position.z,
+      ...createMoveState(camera.position.x, camera.position.y, camera.position.z),
       yaw: 0,
       pitch: 0,
       health: 100,
     };
-  };
-  socket.onmessage = (event) => {
-    const data = JSON.parse(event.data);
+    connect();
+  }
+
+  function connect() {
+    const wsProto = location.protocol === 'https:' ? 'wss' : 'ws';
+    socket = new WebSocket(`${wsProto}://${location.host}/ws`, 'fps.v1');
+    socket.binaryType = 'arraybuffer';
+    socket.onmessage = (event) => {
+      const data =
+        typeof event.data === 'string' ? JSON.parse(event.data) : decodeMessage(new Uint8Array(event.data));
+      handleMessage(data);
+    };
+    socket.onclose = scheduleReconnect;
+  }
+
+  function scheduleReconnect() {
+    reconnecting = true;
+    mouseHeld = false;
+    reconnectOverlay.classList.remove('hidden');
+    if (kickedMessage || reconnectAttempt >= MAX_RECONNECT_ATTEMPTS) {
+      reconnectMessage.textContent = kickedMessage || t('connection.lost');
+      return;
+    }
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempt, RECONNECT_MAX_DELAY);
+    reconnectAttempt++;
+    reconnectMessage.textContent = t('connection.reconnecting', { attempt: reconnectAttempt });
+    setTimeout(connect, delay);
+  }
+
+  function reconnected() {
+    reconnecting = false;
+    reconnectAttempt = 0;
+    reconnectOverlay.classList.add('hidden');
+    // Whatever was in flight is lost; the server sends our position
+    pendingInputs = [];
+    unsentInputs = [];
+  }
+
+  reconnectMenuBtn.addEventListener('click', () => location.reload());
+
+  // Join the room on the connection that `welcome` came in on
+  function join(welcome) {
+    playerId = welcome.id;
+    resumeToken = welcome.resumeToken;
+    // send init with name, chosen room and the protocol we accept
+    send({
+      type: 'init',
+      name: playerName,
+      token: profile.token,
+      // What the server calls us if we have no name yet
+      guest: t('guestName'),
+      room: roomId,
+      protocol: binaryProtocol ? PROTOCOL_VERSION : 0,
+      spectate,
+    });
+  }
+
+  function handleMessage(data) {
     switch (data.type) {
       case 'welcome':
-        playerId = data.id;
-        // send init with name and initial state
-        send({ type: 'init', name: playerName, state: localState });
-        matchStartTime = performance.now() / 1000;
+        clockOffset = data.serverTime - Date.now();
+        binaryProtocol = data.protocol === PROTOCOL_VERSION;
+        if (resumeToken) {
+          // A new connection after a drop: ask for our old place back
+          pendingWelcome = data;
+          send({ type: 'resume', token: resumeToken, protocol: binaryProtocol ? PROTOCOL_VERSION : 0 });
+        } else {
+          join(data);
+        }
+        break;
+      case 'resumed':
+        // Same id and score as before. The room follows in full, so
+        // forget what we knew about it.
+        resetRoomState();
+        if (killCam) stopKillCam();
+        if (death) hideDeathOverlay();
+        localTeam = data.team;
+        localKills = data.kills;
+        localDeaths = data.deaths;
+        reconnected();
+        break;
+      case 'resumeFailed':
+        // We were gone too long; join again as a new player
+        resetRoomState();
+        if (killCam) stopKillCam();
+        if (death) hideDeathOverlay();
+        localTeam = null;
+        localKills = 0;
+        localDeaths = 0;
+        join(pendingWelcome);
+        reconnected();
+        break;
+      case 'kicked': {
+        const message = t(data.banned ? 'connection.banned' : 'connection.kicked');
+        kickedMessage = data.reason ? `${message} ${t('connection.reason', { reason: data.reason })}` : message;
+        break;
+      }
+      case 'profile':
+        // The name we actually got, and the token that keeps it ours.
+        // Made-up guest names aren't kept: they are only ours for now.
+        playerName = data.name;
+        saveProfile(data.token, data.guest ? null : data.name);
+        break;
+      case 'matchState': {
+        clockOffset = data.serverTime - Date.now();
+        Object.assign(match, { phase: data.phase, round: data.round, startedAt: data.startedAt, endsAt: data.endsAt });
+        if (data.phase === 'live') {
+          // Fresh round: the server reset everyone's score
+          localKills = 0;
+          localDeaths = 0;
+          for (const p of players.values()) {
+            p.kills = 0;
+            p.deaths = 0;
+          }
+        }
+        if (data.phase === 'post') {
+          // A replay just plays on; the results are in the scoreboard
+          if (!replay) endMatch();
+        } else if (matchEnded) {
+          matchEnded = false;
+          endScreen.classList.add('hidden');
+          crosshair.style.display = '';
+        }
+        updateScoreboard();
+        break;
+      }
+      case 'matchResults':
+        showResults(data);
+        break;
+      case 'modeState':
+        Object.assign(modeState, { mode: data.mode, teams: data.teams, scoreLimit: data.scoreLimit || 0 });
+        modeState.flags = data.flags || [];
+        updateFlags();
+        updateScoreboard();
+        break;
+      case 'flagEvent':
+        announceFlagEvent(data);
+        break;
+      case 'teamChanged': {
+        const { id, team } = data;
+        if (id === playerId) {
+          localTeam = team;
+        } else if (players.has(id)) {
+          const p = players.get(id);
+          p.team = team;
+          p.mesh.material.color.setHex(TEAM_COLORS[team] || NO_TEAM_COLOR);
+        }
+        updateScoreboard();
+        break;
+      }
+      case 'map':
+        loadMap(data.map);
+        break;
+      case 'error':
+        // Joining failed (room full or gone); back to the room browser
+        alert(has(`error.${data.code}`) ? t(`error.${data.code}`) : t('error.unknown', { code: data.code }));
+        location.reload();
         break;
       case 'playerJoined': {
-        const { id, name, state, kills, deaths } = data;
-        if (id === playerId) break;
+        const { id, name, team, state, kills, deaths } = data;
+        if (id === playerId) {
+          localTeam = team || null;
+          break;
+        }
         // Create a remote player mesh
         const geom = new CapsuleGeometry(0.3, 1.2, 4, 8);
-        const mat = new THREE.MeshStandardMaterial({ color: 0x0077cc });
+        const mat = new THREE.MeshStandardMaterial({ color: TEAM_COLORS[team] || NO_TEAM_COLOR });
         const mesh = new THREE.Mesh(geom, mat);
-        mesh.position.set(state.x, state.y - 0.8, state.z);
+        placePlayerMesh(mesh, state.x, state.y, state.z, state.crouching);
         scene.add(mesh);
-        players.set(id, { mesh, name, kills: kills || 0, deaths: deaths || 0, state });
+        players.set(id, { mesh, name, team, kills: kills || 0, deaths: deaths || 0, state, buffer: [] });
         updateScoreboard();
         break;
       }
@@ -162,27 +941,98 @@ function initGame() {
         }
         break;
       }
+      case 'ack':
+        reconcile(data.seq, data.state);
+        break;
       case 'update': {
         const { id, state } = data;
         if (id === playerId) {
-          // Update our own state from server (e.g., respawn)
-          localState.x = state.x;
-          localState.y = state.y;
-          localState.z = state.z;
+          // Update our own state from server (e.g., respawn). Pending
+          // inputs are left alone; the next ack reconciles them.
+          if (killCam) stopKillCam();
+          if (death && death.respawnAt) hideDeathOverlay();
+          Object.assign(localState, createMoveState(state.x, state.y, state.z));
           localState.health = state.health;
           camera.position.set(state.x, state.y, state.z);
           break;
         }
+        // A teleport (respawn): don't interpolate across the map
         const p = players.get(id);
         if (p) {
           p.state = state;
-          p.mesh.position.set(state.x, state.y - 0.8, state.z);
+          p.buffer = [];
+          placePlayerMesh(p.mesh, state.x, state.y, state.z, state.crouching);
           p.mesh.rotation.y = state.yaw;
         }
         break;
       }
+      case 'snapshot': {
+        const offset = data.t - Date.now();
+        // Smooth out jitter, but follow real clock jumps straight away
+        if (snapshotOffset === null || Math.abs(offset - snapshotOffset) > 250) snapshotOffset = offset;
+        else snapshotOffset += (offset - snapshotOffset) * 0.1;
+        snapshotHistory.push({ t: data.t, players: new Map(data.players.map((s) => [s.id, s])) });
+        while (snapshotHistory[0].t < data.t - HISTORY_LENGTH) snapshotHistory.shift();
+        for (const s of data.players) {
+          if (s.id === playerId) {
+            localState.health = s.health;
+            continue;
+          }
+          const p = players.get(s.id);
+          if (!p) continue;
+          p.state = s;
+          p.buffer.push({ t: data.t, state: s });
+        }
+        break;
+      }
+      case 'weaponState': {
+        // Authoritative weapon state; shot timing stays predicted
+        loadout.current = data.weapon;
+        loadout.ammo = data.ammo;
+        loadout.reloadEndsAt = data.reloadEndsAt;
+        break;
+      }
+      case 'hit':
+        showHitMarker(data.headshot);
+        audio.play(data.headshot ? 'headshot' : 'hit');
+        break;
+      case 'damaged':
+        localState.health = data.health;
+        showDamageIndicator(data.from);
+        break;
+      case 'shotFired':
+        // Only in replays
+        drawShot(data);
+        audio.gunshot(data.weapon, data.origin);
+        break;
+      case 'shot':
+        // Someone else fired
+        showShot(data);
+        break;
+      case 'chat':
+        addChatLine(data);
+        break;
+      case 'serverMessage':
+        addChatLine({ system: true, text: `${t('chat.serverPrefix')} ${data.text}` });
+        announce(data.text);
+        break;
+      case 'chatRejected':
+        addChatLine({ system: true, text: t('chat.rateLimited') });
+        break;
       case 'playerKilled': {
-        const { killer, victim } = data;
+        const { killer, victim, respawnAt } = data;
+        // A seeking replay catches up on old kills; they aren't news
+        if (!replayPlayer || !replayPlayer.seeking) {
+          addKill(data);
+          const victimP = players.get(victim);
+          if (victim === playerId) audio.play('death');
+          else if (victimP && victimP.view) audio.play('death', { position: victimP.view });
+        }
+        if (victim === playerId) {
+          showDeathOverlay(killer, respawnAt);
+          // With a respawn delay we get to see how it happened
+          if (respawnAt) startKillCam(killer, respawnAt);
+        }
         const killerP = players.get(killer) || (playerId === killer ? { kills: 0 } : null);
         const victimP = players.get(victim) || (playerId === victim ? { deaths: 0 } : null);
         if (killerP) killerP.kills = (killerP.kills || 0) + 1;
@@ -195,20 +1045,43 @@ function initGame() {
       default:
         break;
     }
-  };
-  socket.onclose = () => {
-    alert('Verbinding met server verbroken.');
-  };
+  }
 
   function send(obj) {
-    if (socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(obj));
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const binary = binaryProtocol && encodeMessage(obj);
+      socket.send(binary || JSON.stringify(obj));
     }
   }
 
   // Keyboard input
   document.addEventListener('keydown', (e) => {
+    // Typing a chat message; the chat box handles its own keys
+    if (chatTeam !== null || settingsOpen()) return;
+    const { bindings } = settings;
+    if (e.code === bindings.settings) {
+      controls.unlock();
+      openSettings();
+      return;
+    }
+    if (!replay && (e.code === bindings.chat || e.code === bindings.teamChat)) {
+      // Don't let the key that opens the chat end up in it
+      e.preventDefault();
+      openChat(e.code === bindings.teamChat);
+      return;
+    }
+    if (e.code === bindings.mute) {
+      settings.muted = !settings.muted;
+      settingsChanged();
+    }
     keys[e.code] = true;
+    // Observers switch between following a player and flying freely
+    if (observer && e.code === bindings.freeCamera) toggleFreeCamera();
+    if (controls.isLocked && !matchEnded && !observer && !reconnecting) {
+      if (e.code === bindings.reload) reload();
+      const slot = ['weapon1', 'weapon2', 'weapon3', 'weapon4'].findIndex((action) => bindings[action] === e.code);
+      if (slot >= 0) selectWeapon(weapons.WEAPON_ORDER[slot]);
+    }
     // Prevent default scroll with space, arrow keys
     if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) e.preventDefault();
   });
@@ -216,130 +1089,266 @@ function initGame() {
     keys[e.code] = false;
   });
   document.addEventListener('mousedown', (e) => {
-    if (e.button === 0 && controls.isLocked && !reloading && ammo > 0) {
+    if (e.button === 0 && controls.isLocked && !observer && chatTeam === null && !reconnecting) {
+      mouseHeld = true;
       shoot();
     }
   });
+  document.addEventListener('mouseup', (e) => {
+    if (e.button === 0) mouseHeld = false;
+  });
+  // Scroll wheel cycles through the weapon slots
+  document.addEventListener('wheel', (e) => {
+    if (!controls.isLocked || matchEnded || observer || reconnecting || e.deltaY === 0) return;
+    const order = weapons.WEAPON_ORDER;
+    const step = e.deltaY > 0 ? 1 : -1;
+    const index = order.indexOf(loadout.current);
+    selectWeapon(order[(index + step + order.length) % order.length]);
+  });
 
-  function shoot() {
-    const now = performance.now() / 1000;
-    // Fire rate limitation: 0.15s
-    if (now - lastShotTime < 0.15) return;
-    lastShotTime = now;
-    ammo--;
-    if (ammo <= 0) {
-      startReload();
+  function selectWeapon(id) {
+    if (id && weapons.switchWeapon(loadout, id, serverNow())) {
+      send({ type: 'switchWeapon', weapon: id });
+      // Drawing an empty weapon reloads it
+      if (weapons.isReloading(loadout)) audio.play('reload');
     }
+  }
+
+  function reload() {
+    if (weapons.startReload(loadout, serverNow())) {
+      send({ type: 'reload' });
+      audio.play('reload');
+    }
+  }
+
+  function shoot() {
+    // Same rules the server enforces; a shot it would refuse is never sent
+    if (killCam || !weapons.fire(loadout, serverNow())) return;
+    audio.gunshot(loadout.current);
+    // The last round starts a reload
+    if (weapons.isReloading(loadout)) audio.play('reload');
     // Compute origin and direction for bullet
     const origin = new THREE.Vector3(localState.x, localState.y, localState.z);
     const direction = new THREE.Vector3();
     camera.getWorldDirection(direction);
     direction.normalize();
-    send({ type: 'shoot', origin: { x: origin.x, y: origin.y, z: origin.z }, direction: { x: direction.x, y: direction.y, z: direction.z } });
-    // Visual muzzle flash: small sphere quickly fading
+    send({
+      type: 'shoot',
+      origin: { x: origin.x, y: origin.y, z: origin.z },
+      direction: { x: direction.x, y: direction.y, z: direction.z },
+      // Lets the server rewind targets to where we saw them
+      firedAt: snapshotOffset === null ? serverNow() : renderTime(),
+    });
+    muzzleFlash(camera.position.clone().add(direction.clone().multiplyScalar(0.5)));
+  }
+
+  // Visual muzzle flash: small sphere quickly fading
+  function muzzleFlash(position) {
     const flashGeo = new THREE.SphereGeometry(0.05, 8, 8);
     const flashMat = new THREE.MeshBasicMaterial({ color: 0xffa500 });
     const flash = new THREE.Mesh(flashGeo, flashMat);
-    flash.position.copy(camera.position).add(direction.clone().multiplyScalar(0.5));
+    flash.position.copy(position);
     scene.add(flash);
     setTimeout(() => {
       scene.remove(flash);
     }, 100);
-    updateScoreboard();
   }
 
-  function startReload() {
-    if (reloading) return;
-    reloading = true;
-    setTimeout(() => {
-      ammo = maxAmmo;
-      reloading = false;
-      updateScoreboard();
-    }, reloadTime * 1000);
+  // Another player's shot: the flash at their muzzle, a tracer up to
+  // the first thing in the way, and the bang from where they stand.
+  // Where it hit is only known to the server.
+  const shotRay = new THREE.Raycaster();
+  function showShot({ weapon, origin, direction }) {
+    const start = new THREE.Vector3(origin.x, origin.y, origin.z);
+    const dir = new THREE.Vector3(direction.x, direction.y, direction.z);
+    shotRay.set(start, dir);
+    shotRay.far = weapons.WEAPONS[weapon]?.range ?? 50;
+    const [blocked] = world ? shotRay.intersectObject(world, true) : [];
+    const end = start.clone().add(dir.clone().multiplyScalar(blocked ? blocked.distance : shotRay.far));
+    const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+    const tracer = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffff80 }));
+    scene.add(tracer);
+    setTimeout(() => scene.remove(tracer), 60);
+    muzzleFlash(start.clone().add(dir.clone().multiplyScalar(0.5)));
+    audio.gunshot(weapon, origin);
   }
 
-  // Movement physics
-  const gravity = 25;
-  let velocityY = 0;
+  // Movement: every frame becomes a numbered input that we apply
+  // locally right away (prediction) and queue for the server. Inputs
+  // stay in `pendingInputs` until an `ack` confirms them.
+  const viewEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+  let inputSeq = 0;
+  let pendingInputs = [];
+  let unsentInputs = [];
+  let sendTimer = 0;
   function handleMovement(delta) {
-    // Determine direction vectors
-    const forward = new THREE.Vector3();
-    camera.getWorldDirection(forward);
-    forward.y = 0;
-    forward.normalize();
-    const right = new THREE.Vector3();
-    right.crossVectors(forward, camera.up).normalize();
-
-    let moveDir = new THREE.Vector3();
-    if (keys['KeyW']) moveDir.add(forward);
-    if (keys['KeyS']) moveDir.sub(forward);
-    if (keys['KeyA']) moveDir.sub(right);
-    if (keys['KeyD']) moveDir.add(right);
-    if (moveDir.lengthSq() > 0) moveDir.normalize();
-    let speed = 6; // default run speed m/s
-    const isCrouching = keys['ShiftLeft'] || keys['ShiftRight'];
-    if (isCrouching) speed = 3;
-    if (keys['ControlLeft'] || keys['ControlRight']) {
-      // slide: boost speed for a short duration
-      if (slideTimer <= 0) {
-        slideTimer = slideDuration;
-      }
-    }
-    if (slideTimer > 0) {
-      speed = 9;
-      slideTimer -= delta;
-      if (slideTimer < 0) slideTimer = 0;
-    }
-    // Update horizontal position
-    localState.x += moveDir.x * speed * delta;
-    localState.z += moveDir.z * speed * delta;
-
-    // Jumping
-    if (keys['Space'] && localState.y <= 1.6 + 0.01) {
-      velocityY = 8;
-    }
-    // Apply gravity
-    velocityY -= gravity * delta;
-    localState.y += velocityY * delta;
-    // Prevent falling below ground
-    const standHeight = isCrouching ? 1.0 : 1.6;
-    if (localState.y < standHeight) {
-      localState.y = standHeight;
-      velocityY = 0;
-    }
-    // Collision with obstacles (very simple AABB check)
-    obstacleBoxes.forEach((box) => {
-      // Check horizontal collision only
-      const radius = 0.3;
-      if (
-        localState.x + radius > box.min.x &&
-        localState.x - radius < box.max.x &&
-        localState.z + radius > box.min.z &&
-        localState.z - radius < box.max.z &&
-        localState.y < box.max.y
-      ) {
-        // Undo movement along X and Z
-        // Determine minimal translation vector
-        const dx1 = box.max.x - (localState.x - radius);
-        const dx2 = (localState.x + radius) - box.min.x;
-        const dz1 = box.max.z - (localState.z - radius);
-        const dz2 = (localState.z + radius) - box.min.z;
-        const minX = dx1 < dx2 ? -dx1 : dx2;
-        const minZ = dz1 < dz2 ? -dz1 : dz2;
-        if (Math.abs(minX) < Math.abs(minZ)) {
-          localState.x += minX;
-        } else {
-          localState.z += minZ;
-        }
-      }
-    });
+    viewEuler.setFromQuaternion(camera.quaternion);
+    const input = {
+      seq: ++inputSeq,
+      dt: Math.min(delta, MAX_INPUT_DT),
+      forward: (held('forward') ? 1 : 0) - (held('back') ? 1 : 0),
+      strafe: (held('right') ? 1 : 0) - (held('left') ? 1 : 0),
+      jump: held('jump'),
+      crouch: held('crouch'),
+      slide: held('slide'),
+      yaw: viewEuler.y,
+      pitch: viewEuler.x,
+    };
+    // Predict with the same rounded values the server will decode
+    if (binaryProtocol) quantizeInput(input);
+    const fromX = localState.x;
+    const fromZ = localState.z;
+    applyInput(localState, input, collisionWorld);
+    playMovementSounds(fromX, fromZ);
+    pendingInputs.push(input);
+    unsentInputs.push(input);
     // Update camera position
     camera.position.set(localState.x, localState.y, localState.z);
-    // Update yaw/pitch
-    localState.yaw = controls.getObject().rotation.y;
-    localState.pitch = controls.getObject().rotation.x;
-    // Send update to server
-    send({ type: 'update', state: localState });
+    localState.yaw = input.yaw;
+    localState.pitch = input.pitch;
+    // Send inputs to the server in batches at a fixed rate
+    sendTimer += delta;
+    if (sendTimer >= sendInterval) {
+      sendTimer %= sendInterval;
+      send({ type: 'input', inputs: unsentInputs });
+      unsentInputs = [];
+    }
+  }
+
+  // Footsteps while on the ground, and a scrape when a slide starts
+  let wasSliding = false;
+  function playMovementSounds(fromX, fromZ) {
+    const sliding = localState.slideX !== 0 || localState.slideZ !== 0;
+    if (sliding && !wasSliding) audio.play('slide');
+    wasSliding = sliding;
+    if (!localState.onGround || sliding) return;
+    const distance = Math.hypot(localState.x - fromX, localState.z - fromZ);
+    audio.moved(playerId, distance, { crouching: localState.crouching });
+  }
+
+  // Server reconciliation: take the authoritative state for the last
+  // input the server processed and replay everything newer on top.
+  function reconcile(seq, state) {
+    pendingInputs = pendingInputs.filter((input) => input.seq > seq);
+    Object.assign(localState, state);
+    for (const input of pendingInputs) {
+      applyInput(localState, input, collisionWorld);
+    }
+    camera.position.set(localState.x, localState.y, localState.z);
+  }
+
+  // Place remote players at renderTime(), between the two buffered
+  // snapshots around it. Past the newest snapshot they hold position.
+  // Dead players and the one the camera looks through are hidden.
+  function interpolatePlayers() {
+    if (snapshotOffset === null) return;
+    const t = renderTime();
+    const viewed = killCam ? killCam.killer : followId;
+    for (const [id, p] of players) {
+      const buf = p.buffer;
+      if (buf.length === 0) continue;
+      // Drop snapshots we will never need again
+      while (buf.length >= 2 && buf[1].t <= t) buf.shift();
+      const a = buf[0];
+      const b = buf[1];
+      const s = b && t > a.t ? lerpState(a.state, b.state, (t - a.t) / (b.t - a.t)) : a.state;
+      placePlayerMesh(p.mesh, s.x, s.y, s.z, s.crouching);
+      p.mesh.rotation.y = s.yaw;
+      p.mesh.visible = id !== viewed && s.health > 0;
+      // Their footsteps, as far as snapshots tell: climbing faster than
+      // walking means they are in the air
+      if (p.view && s.health > 0) {
+        const distance = Math.hypot(s.x - p.view.x, s.z - p.view.z);
+        const feet = s.y - (s.crouching ? CROUCH_HEIGHT : STAND_HEIGHT);
+        const position = { x: s.x, y: feet, z: s.z };
+        if (Math.abs(s.y - p.view.y) <= distance) audio.moved(id, distance, { crouching: s.crouching, position });
+      }
+      // Eye position and view angles, for cameras following this player
+      p.view = { x: s.x, y: s.y, z: s.z, yaw: s.yaw, pitch: s.pitch };
+    }
+  }
+
+  // A player's state a fraction `f` of the way from `a` to `b`
+  function lerpState(a, b, f) {
+    const late = f >= 0.5 ? b : a;
+    return {
+      x: a.x + (b.x - a.x) * f,
+      y: a.y + (b.y - a.y) * f,
+      z: a.z + (b.z - a.z) * f,
+      yaw: lerpAngle(a.yaw, b.yaw, f),
+      pitch: a.pitch + (b.pitch - a.pitch) * f,
+      crouching: late.crouching,
+      health: late.health,
+    };
+  }
+
+  // Every player's state at server time `t`, from the snapshot history
+  function sampleHistory(t) {
+    let i = 0;
+    while (i < snapshotHistory.length - 2 && snapshotHistory[i + 1].t <= t) i++;
+    const a = snapshotHistory[i];
+    const b = snapshotHistory[i + 1];
+    const f = b ? Math.min(Math.max((t - a.t) / (b.t - a.t), 0), 1) : 0;
+    const states = new Map();
+    for (const [id, s] of a.players) {
+      const next = b && b.players.get(id);
+      states.set(id, next ? lerpState(s, next, f) : s);
+    }
+    return states;
+  }
+
+  // Kill-cam: while we wait to respawn, the last moments before our
+  // death play again through the killer's eyes. Everything comes from
+  // the snapshots we already received, so the server sends nothing
+  // extra. It ends when the server respawns us.
+  const snapshotHistory = []; // [{ t, players: Map id -> state }], oldest first
+  let killCam = null; // { killer, from, to, startedAt, view }
+  let selfMesh = null; // stand-in for our own body, seen from the killer
+
+  function startKillCam(killer, respawnAt) {
+    if (snapshotHistory.length < 2 || !players.has(killer)) return;
+    const to = snapshotHistory[snapshotHistory.length - 1].t;
+    const length = Math.min(KILL_CAM_LENGTH, respawnAt - serverNow());
+    killCam = {
+      killer,
+      from: Math.max(to - length, snapshotHistory[0].t),
+      to,
+      startedAt: performance.now(),
+      // Our own view, to restore afterwards
+      view: camera.quaternion.clone(),
+    };
+    selfMesh = new THREE.Mesh(
+      new CapsuleGeometry(0.3, 1.2, 4, 8),
+      new THREE.MeshStandardMaterial({ color: TEAM_COLORS[localTeam] || NO_TEAM_COLOR }),
+    );
+    scene.add(selfMesh);
+    mouseHeld = false;
+  }
+
+  function updateKillCam() {
+    // Plays in real time, then holds on the moment of death
+    const t = Math.min(killCam.from + performance.now() - killCam.startedAt, killCam.to);
+    const states = sampleHistory(t);
+    for (const [id, s] of states) {
+      const mesh = id === playerId ? selfMesh : players.get(id)?.mesh;
+      if (!mesh) continue;
+      placePlayerMesh(mesh, s.x, s.y, s.z, s.crouching);
+      mesh.rotation.y = s.yaw;
+      mesh.visible = id !== killCam.killer && s.health > 0;
+    }
+    const view = states.get(killCam.killer);
+    if (view) {
+      camera.position.set(view.x, view.y, view.z);
+      followEuler.set(view.pitch, view.yaw, 0);
+      camera.quaternion.setFromEuler(followEuler);
+    }
+  }
+
+  function stopKillCam() {
+    camera.quaternion.copy(killCam.view);
+    killCam = null;
+    scene.remove(selfMesh);
+    selfMesh = null;
   }
 
   // Handle window resize
@@ -349,45 +1358,323 @@ function initGame() {
     renderer.setSize(window.innerWidth, window.innerHeight);
   });
 
+  // Chat: T talks to everyone, Y to your team. Enter sends, Escape
+  // closes without sending. New lines fade out after a while; opening
+  // the chat shows the history.
+  let chatTeam = null; // null while closed, otherwise whether it's team chat
+  function openChat(teamOnly) {
+    chatTeam = teamOnly && localTeam !== null;
+    chatInput.placeholder = t(chatTeam ? 'chat.toTeam' : 'chat.toAll');
+    chatInput.classList.remove('hidden');
+    chatDiv.classList.add('open');
+    chatInput.focus();
+    // Keys held when the chat opened would stay pressed forever
+    for (const code of Object.keys(keys)) keys[code] = false;
+    mouseHeld = false;
+  }
+
+  function closeChat() {
+    chatTeam = null;
+    chatInput.value = '';
+    chatInput.blur();
+    chatInput.classList.add('hidden');
+    chatDiv.classList.remove('open');
+  }
+
+  chatInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.code === 'Enter') {
+      const text = chatInput.value.trim();
+      if (text) send({ type: 'chat', text, team: chatTeam });
+      closeChat();
+    } else if (e.code === 'Escape') {
+      closeChat();
+    }
+  });
+
+  function addChatLine({ name, text, team, spectator, system }) {
+    const line = document.createElement('div');
+    if (system) {
+      line.className = 'system';
+      line.textContent = text;
+    } else {
+      const prefix = team ? `${t('chat.teamPrefix')} ` : spectator ? `${t('chat.spectatorPrefix')} ` : '';
+      const who = document.createElement('strong');
+      who.textContent = `${prefix}${name}: `;
+      line.append(who, text);
+      if (team) line.classList.add(`team-${team}`);
+    }
+    chatLog.appendChild(line);
+    while (chatLog.children.length > CHAT_LOG_SIZE) chatLog.firstChild.remove();
+    setTimeout(() => line.classList.add('old'), CHAT_LINE_TIME);
+  }
+
+  // Kill feed: "killer [weapon] victim" for the last few kills
+  function addKill({ killer, victim, weapon, headshot }) {
+    const entry = document.createElement('div');
+    const nameSpan = (id) => {
+      const span = document.createElement('span');
+      span.textContent = playerNameOf(id);
+      const team = id === playerId ? localTeam : players.get(id)?.team;
+      if (team) span.className = `team-${team}`;
+      return span;
+    };
+    const weaponSpan = document.createElement('span');
+    weaponSpan.className = 'weapon';
+    weaponSpan.textContent = `[${t(`weapon.${weapon}`)}${headshot ? `, ${t('killFeed.headshot')}` : ''}]`;
+    entry.append(nameSpan(killer), weaponSpan, nameSpan(victim));
+    killFeedDiv.appendChild(entry);
+    while (killFeedDiv.children.length > KILL_FEED_SIZE) killFeedDiv.firstChild.remove();
+    setTimeout(() => entry.remove(), KILL_FEED_TIME);
+  }
+
+  function playerNameOf(id) {
+    if (id === playerId) return playerName;
+    const p = players.get(id);
+    return p ? p.name : '?';
+  }
+
+  // Capture the Flag: a pole with a cloth in the team colour per flag.
+  // Carried flags ride along above their carrier; our own carried flag
+  // is hidden so it doesn't block the view.
+  const flagMeshes = new Map(); // team -> THREE.Group
+  function updateFlags() {
+    for (const [team, mesh] of flagMeshes) {
+      if (!modeState.flags.some((f) => f.team === team)) {
+        scene.remove(mesh);
+        flagMeshes.delete(team);
+      }
+    }
+    for (const flag of modeState.flags) {
+      let mesh = flagMeshes.get(flag.team);
+      if (!mesh) {
+        mesh = new THREE.Group();
+        const pole = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.03, 0.03, 2),
+          new THREE.MeshStandardMaterial({ color: 0xdddddd }),
+        );
+        pole.position.y = 1;
+        const cloth = new THREE.Mesh(
+          new THREE.BoxGeometry(0.7, 0.45, 0.02),
+          new THREE.MeshStandardMaterial({ color: TEAM_COLORS[flag.team] }),
+        );
+        cloth.position.set(0.37, 1.75, 0);
+        mesh.add(pole, cloth);
+        scene.add(mesh);
+        flagMeshes.set(flag.team, mesh);
+      }
+      mesh.visible = flag.carrier !== playerId;
+      const carrier = players.get(flag.carrier);
+      if (carrier) {
+        mesh.position.set(carrier.mesh.position.x, 0.6, carrier.mesh.position.z);
+      } else {
+        mesh.position.set(flag.x, 0, flag.z);
+      }
+    }
+  }
+
+  let announcementTimer = null;
+  function announce(text) {
+    announcementDiv.textContent = text;
+    announcementDiv.classList.remove('hidden');
+    clearTimeout(announcementTimer);
+    announcementTimer = setTimeout(() => announcementDiv.classList.add('hidden'), 3000);
+  }
+
+  function announceFlagEvent({ event, team, player }) {
+    if (!['pickup', 'drop', 'capture', 'return'].includes(event)) return;
+    // A dropped flag that lies around too long goes home by itself
+    if (event === 'return' && player === null) {
+      announce(t(`flagReturned.${team}`));
+    } else {
+      announce(t(`flagEvent.${event}`, { player: playerNameOf(player), flag: t(`flag.${team}`) }));
+    }
+  }
+
+  // Observer camera for spectators and replays. It either flies freely
+  // (movement keys, jump/crouch for up and down, mouse to look) or
+  // looks through the eyes of one player. In replays the controls bar
+  // handles the clock; spectators click to go to the next player.
+  let followId = null; // player the camera follows, null for free-fly
+  const followEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+  const FREE_FLY_SPEED = 10; // m/s
+
+  if (replay) {
+    replayPlayer = new ReplayPlayer(replay, { apply: handleMessage, reset: resetRoomState });
+    replayControls.classList.remove('hidden');
+    crosshair.style.display = 'none';
+    replayScrubber.max = String(replayPlayer.duration);
+    replayPlayBtn.addEventListener('click', () => replayPlayer.togglePlaying());
+    replaySpeedSelect.addEventListener('change', () => {
+      replayPlayer.speed = Number(replaySpeedSelect.value);
+    });
+    replayScrubber.addEventListener('input', () => {
+      replayPlayer.seek(replayPlayer.start + Number(replayScrubber.value));
+    });
+    replayCameraBtn.addEventListener('click', toggleFreeCamera);
+    replayNextPlayerBtn.addEventListener('click', followNextPlayer);
+  }
+  if (spectate) {
+    spectatorHint.textContent = t('spectator.hint', { key: keyLabel(settings.bindings.freeCamera) });
+    spectatorHint.classList.remove('hidden');
+    crosshair.style.display = 'none';
+  }
+
+  // Forget everything built from room messages, before the room is sent
+  // again: when a replay seeks, or when we resume after a reconnect
+  function resetRoomState() {
+    for (const p of players.values()) scene.remove(p.mesh);
+    players.clear();
+    Object.assign(modeState, { mode: 'ffa', teams: null, scoreLimit: 0, flags: [] });
+    Object.assign(match, { phase: null, round: 0, startedAt: 0, endsAt: 0 });
+    snapshotOffset = null;
+    snapshotHistory.length = 0;
+  }
+
+  function followNextPlayer() {
+    const ids = Array.from(players.keys());
+    if (ids.length === 0) return;
+    followId = ids[(ids.indexOf(followId) + 1) % ids.length];
+  }
+
+  function toggleFreeCamera() {
+    if (followId === null) followNextPlayer();
+    else followId = null;
+  }
+
+  function updateObserverCamera(delta) {
+    const followed = players.get(followId);
+    if (followed && followed.view) {
+      const { x, y, z, yaw, pitch } = followed.view;
+      camera.position.set(x, y, z);
+      followEuler.set(pitch, yaw, 0);
+      camera.quaternion.setFromEuler(followEuler);
+      return;
+    }
+    if (!controls.isLocked) return;
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize();
+    const move = new THREE.Vector3();
+    if (held('forward')) move.add(forward);
+    if (held('back')) move.sub(forward);
+    if (held('right')) move.add(right);
+    if (held('left')) move.sub(right);
+    if (held('jump')) move.y += 1;
+    if (held('crouch')) move.y -= 1;
+    if (move.lengthSq() > 0) camera.position.addScaledVector(move.normalize(), FREE_FLY_SPEED * delta);
+  }
+
+  function updateReplayControls() {
+    const elapsed = replayPlayer.time - replayPlayer.start;
+    replayPlayBtn.textContent = t(replayPlayer.playing ? 'replays.pause' : 'replays.play');
+    // Don't fight the user while they drag the scrubber
+    if (document.activeElement !== replayScrubber) replayScrubber.value = String(elapsed);
+    replayTimeLabel.textContent = `${formatTime(elapsed / 1000)} / ${formatTime(replayPlayer.duration / 1000)}`;
+    const followed = players.get(followId);
+    replayCameraBtn.textContent = followed ? t('replays.following', { name: followed.name }) : t('replays.freeCamera');
+  }
+
+  // Tracers for a replayed shot: one line per pellet, red when it hit,
+  // plus a marker where the server had rewound the target to
+  function drawShot({ origin, pellets }) {
+    const effects = [];
+    for (const { direction, hit } of pellets) {
+      const length = hit ? hit.distance : 50;
+      const end = {
+        x: origin.x + direction.x * length,
+        y: origin.y + direction.y * length,
+        z: origin.z + direction.z * length,
+      };
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(origin.x, origin.y, origin.z),
+        new THREE.Vector3(end.x, end.y, end.z),
+      ]);
+      effects.push(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: hit ? 0xff3030 : 0xffff80 })));
+      if (hit) {
+        const ghost = new THREE.Mesh(
+          new THREE.SphereGeometry(0.15, 8, 8),
+          new THREE.MeshBasicMaterial({ color: 0xff3030, wireframe: true }),
+        );
+        ghost.position.set(hit.target.x, hit.target.y, hit.target.z);
+        effects.push(ghost);
+      }
+    }
+    effects.forEach((effect) => scene.add(effect));
+    setTimeout(() => effects.forEach((effect) => scene.remove(effect)), 400);
+  }
+
   // Main loop
   let prevTime = performance.now() / 1000;
   function animate() {
-    if (matchEnded) return;
     const currentTime = performance.now() / 1000;
     const delta = currentTime - prevTime;
     prevTime = currentTime;
 
-    // Update movement
-    if (controls.isLocked) {
+    if (replay) replayPlayer.update(delta);
+    interpolatePlayers();
+    if (observer) {
+      updateObserverCamera(delta);
+      if (replay) updateReplayControls();
+    } else if (killCam) {
+      updateKillCam();
+    } else if (controls.isLocked && !matchEnded && !reconnecting) {
+      // Update movement
       handleMovement(delta);
+      // Automatic weapons keep firing while the button is held
+      if (mouseHeld && weapons.WEAPONS[loadout.current].automatic) shoot();
     }
+    updateFlags();
+    updateHUD();
     renderer.render(scene, camera);
 
     // Update scoreboard periodically
     updateScoreboard();
-
-    // End match if time expired
-    if (matchStartTime && currentTime - matchStartTime >= matchDuration) {
-      endMatch();
+    if (matchEnded) {
+      nextRoundDiv.textContent = t('endScreen.nextRound', { time: formatTime((match.endsAt - serverNow()) / 1000) });
     }
     requestAnimationFrame(animate);
   }
   animate();
 
+  // Stretch a player's capsule from their feet to just above their eyes,
+  // roughly covering the server's hitboxes for that stance
+  function placePlayerMesh(mesh, x, eyeY, z, crouching) {
+    const eyeHeight = crouching ? CROUCH_HEIGHT : STAND_HEIGHT;
+    const height = eyeHeight + 0.15;
+    mesh.scale.y = height / 1.8; // the capsule geometry is 1.8m tall
+    mesh.position.set(x, eyeY - eyeHeight + height / 2, z);
+  }
+
+  // Flash the hit-marker; headshots get their own style
+  let hitMarkerTimer = null;
+  function showHitMarker(headshot) {
+    hitMarker.classList.toggle('headshot', !!headshot);
+    hitMarker.classList.add('visible');
+    clearTimeout(hitMarkerTimer);
+    hitMarkerTimer = setTimeout(() => hitMarker.classList.remove('visible'), headshot ? 300 : 150);
+  }
+
   function endMatch() {
     matchEnded = true;
-    // Display results
-    let html = '<h3>Resultaten</h3>';
-    const arr = Array.from(players.entries());
-    arr.push([playerId, { name: playerName, kills: localState.kills || 0, deaths: localState.deaths || 0 }]);
-    arr.forEach(([id, p]) => {
-      const name = id === playerId ? playerName + ' (jij)' : p.name;
-      html += `<div>${name}: ${p.kills || 0} / ${p.deaths || 0}</div>`;
-    });
-    resultsDiv.innerHTML = html;
     endScreen.classList.remove('hidden');
     // Unlock pointer and show cursor
     controls.unlock();
     crosshair.style.display = 'none';
   }
+
+  // Results come from the server so every client shows the same table
+  function showResults({ results, teams, winner }) {
+    let html = `<h3>${t('endScreen.results')}</h3>`;
+    if (teams) {
+      html += `<div>${winner ? t('endScreen.winner', { team: t(`team.${winner}`) }) : t('endScreen.draw')}</div>`;
+      html += `<div>${t('team.red')} ${teams.red} - ${teams.blue} ${t('team.blue')}</div>`;
+    }
+    results.forEach((r) => {
+      const name = r.id === playerId ? `${r.name} ${t('scoreboard.you')}` : r.name;
+      const team = r.team ? ` (${t(`team.${r.team}`)})` : '';
+      html += `<div>${escapeHTML(name)}${team}: ${r.kills} / ${r.deaths}</div>`;
+    });
+    resultsDiv.innerHTML = html;
+  }
 }
@@ -0,0 +1,82 @@
+/*
+ * Playback clock for recorded matches.
+ *
+ * A replay (see lib/replays.js) is a list of { t, msg } entries: the
+ * messages the server broadcast during a round, stamped with server
+ * time. Playing it back means handing each message to the game's
+ * normal message handler once the replay clock passes its time, so the
+ * scene, player meshes and interpolation all work as in a live match.
+ *
+ * Seeking rebuilds the state from scratch: the caller's `reset()`
+ * clears the scene, then every message up to the new time is applied
+ * again. Snapshots are skipped except for the last few (interpolation
+ * needs two around the render time), and so are TRANSIENT messages
+ * like shots that only draw short-lived effects.
+ */
+
+const SNAPSHOTS_ON_SEEK = 3;
+const TRANSIENT = new Set(['shotFired', 'flagEvent', 'chat', 'serverMessage']);
+
+export class ReplayPlayer {
+  // `apply(msg)` handles one recorded message, `reset()` clears all
+  // state built from earlier messages.
+  constructor(replay, { apply, reset }) {
+    this.replay = replay;
+    this.events = replay.events;
+    this.apply = apply;
+    this.reset = reset;
+    this.start = replay.startedAt;
+    this.end = Math.max(replay.endedAt, this.events.length ? this.events[this.events.length - 1].t : 0);
+    this.time = this.start;
+    this.next = 0; // index of the first event not applied yet
+    this.playing = true;
+    this.speed = 1;
+    // True while a seek replays old messages; effects can skip them
+    this.seeking = false;
+  }
+
+  get duration() {
+    return this.end - this.start;
+  }
+
+  // Advance the clock by `delta` seconds of real time
+  update(delta) {
+    if (this.playing) {
+      this.time = Math.min(this.end, this.time + delta * 1000 * this.speed);
+      if (this.time >= this.end) this.playing = false;
+    }
+    while (this.next < this.events.length && this.events[this.next].t <= this.time) {
+      this.apply(this.events[this.next++].msg);
+    }
+  }
+
+  seek(time) {
+    this.time = Math.min(Math.max(time, this.start), this.end);
+    // Everything up to (not including) index `end` has happened by now
+    let end = 0;
+    while (end < this.events.length && this.events[end].t <= this.time) end++;
+    let keepSnapshotsFrom = end;
+    for (let i = end - 1, kept = 0; i >= 0 && kept < SNAPSHOTS_ON_SEEK; i--) {
+      if (this.events[i].msg.type === 'snapshot') {
+        keepSnapshotsFrom = i;
+        kept++;
+      }
+    }
+    this.reset();
+    this.seeking = true;
+    for (let i = 0; i < end; i++) {
+      const { msg } = this.events[i];
+      if (TRANSIENT.has(msg.type)) continue;
+      if (msg.type === 'snapshot' && i < keepSnapshotsFrom) continue;
+      this.apply(msg);
+    }
+    this.seeking = false;
+    this.next = end;
+  }
+
+  togglePlaying() {
+    // Pressing play at the end starts over
+    if (!this.playing && this.time >= this.end) this.seek(this.start);
+    this.playing = !this.playing;
+  }
+}
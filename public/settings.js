@@ -0,0 +1,137 @@
+import { LOCALES, has, t } from './i18n.js';
+
+/*
+ * Player settings: key bindings, mouse, field of view, crosshair,
+ * volume and language.
+ *
+ * Settings are kept in localStorage and merged over the defaults on
+ * load, so settings saved by an older version pick up new actions
+ * automatically. Bindings map an action to one `KeyboardEvent.code`;
+ * the game asks for actions, never for physical keys. Labels for
+ * actions, keys and crosshairs come from the locale files (i18n.js).
+ */
+
+const STORAGE_KEY = 'fps.settings';
+
+// In the order the settings panel lists them
+export const ACTIONS = [
+  'forward',
+  'back',
+  'left',
+  'right',
+  'jump',
+  'crouch',
+  'slide',
+  'reload',
+  'weapon1',
+  'weapon2',
+  'weapon3',
+  'weapon4',
+  'chat',
+  'teamChat',
+  'freeCamera',
+  'mute',
+  'settings',
+];
+
+// Slide is off Ctrl by default: Ctrl+W and friends belong to the browser
+export const DEFAULT_BINDINGS = {
+  forward: 'KeyW',
+  back: 'KeyS',
+  left: 'KeyA',
+  right: 'KeyD',
+  jump: 'Space',
+  crouch: 'ShiftLeft',
+  slide: 'KeyC',
+  reload: 'KeyR',
+  weapon1: 'Digit1',
+  weapon2: 'Digit2',
+  weapon3: 'Digit3',
+  weapon4: 'Digit4',
+  chat: 'KeyT',
+  teamChat: 'KeyY',
+  freeCamera: 'KeyF',
+  mute: 'KeyM',
+  settings: 'KeyP',
+};
+
+// Crosshair id -> the symbol drawn in the middle of the screen
+export const CROSSHAIRS = {
+  plus: '+',
+  dot: '•',
+  circle: '○',
+  none: '',
+};
+
+export const FOV_RANGE = { min: 60, max: 110 };
+export const SENSITIVITY_RANGE = { min: 0.1, max: 3 };
+export const VOLUME_RANGE = { min: 0, max: 1 };
+
+export function defaultSettings() {
+  return {
+    bindings: { ...DEFAULT_BINDINGS },
+    sensitivity: 1,
+    invertY: false,
+    fov: 75,
+    crosshair: 'plus',
+    masterVolume: 0.8,
+    sfxVolume: 1,
+    muted: false,
+    language: null, // follow the browser
+  };
+}
+
+export function loadSettings() {
+  const settings = defaultSettings();
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    // Unreadable settings: start from the defaults
+  }
+  if (!saved) return settings;
+  Object.assign(settings.bindings, saved.bindings);
+  if (typeof saved.sensitivity === 'number') settings.sensitivity = clamp(saved.sensitivity, SENSITIVITY_RANGE);
+  if (typeof saved.invertY === 'boolean') settings.invertY = saved.invertY;
+  if (typeof saved.fov === 'number') settings.fov = clamp(saved.fov, FOV_RANGE);
+  if (saved.crosshair in CROSSHAIRS) settings.crosshair = saved.crosshair;
+  if (typeof saved.masterVolume === 'number') settings.masterVolume = clamp(saved.masterVolume, VOLUME_RANGE);
+  if (typeof saved.sfxVolume === 'number') settings.sfxVolume = clamp(saved.sfxVolume, VOLUME_RANGE);
+  if (typeof saved.muted === 'boolean') settings.muted = saved.muted;
+  if (LOCALES[saved.language]) settings.language = saved.language;
+  return settings;
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// Bind `action` to `code`. An action that had this key gets the key
+// `action` used to have, so no key ever does two things.
+export function bindKey(settings, action, code) {
+  const previous = settings.bindings[action];
+  for (const other of ACTIONS) {
+    if (other !== action && settings.bindings[other] === code) settings.bindings[other] = previous;
+  }
+  settings.bindings[action] = code;
+}
+
+// Readable name for a KeyboardEvent.code
+export function keyLabel(code) {
+  if (has(`key.${code}`)) return t(`key.${code}`);
+  const m = /^(?:Key|Digit|Numpad)(.+)$/.exec(code);
+  return m ? m[1] : code;
+}
+
+// The controls line in the menu, built from the current bindings
+export function helpText(bindings) {
+  const key = (action) => keyLabel(bindings[action]);
+  const move = ['forward', 'left', 'back', 'right'].map(key).join('/');
+  const weapons = ['weapon1', 'weapon2', 'weapon3', 'weapon4'].map(key).join(', ');
+  const actions = ['jump', 'crouch', 'slide', 'reload', 'chat', 'teamChat', 'mute', 'settings'];
+  return t('help', { move, weapons, ...Object.fromEntries(actions.map((action) => [action, key(action)])) });
+}
+
+function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,299 @@
+/*
+ * Player movement physics shared by the browser and the server.
+ *
+ * The client runs applyInput() every frame to predict its own
+ * movement; the server runs the exact same function on the inputs it
+ * receives to produce the authoritative position. Keeping one copy of
+ * the physics is what makes reconciliation cheap: as long as both
+ * sides agree, replaying unacknowledged inputs lands the client where
+ * it already was.
+ *
+ * An input is a plain object:
+ *   { seq, dt, forward, strafe, jump, crouch, slide, yaw, pitch }
+ * `forward` and `strafe` are -1, 0 or 1, the flags are booleans and
+ * `yaw`/`pitch` are the view angles (YXZ order, radians).
+ *
+ * The player is a vertical capsule PLAYER_RADIUS wide, from the feet
+ * up to HEAD_CLEARANCE above the eyes. `y` is the eye position, so the
+ * feet are one eye height (STAND_HEIGHT or CROUCH_HEIGHT) below it. The
+ * world it collides with comes from createCollisionWorld(): the
+ * obstacle boxes, ramps and the floor's edges. Each input moves the
+ * capsule in sub-steps of at most half its radius, so it can't tunnel
+ * through thin walls, and every sub-step resolves horizontal
+ * movement (pushing out of boxes, or stepping up ledges up to
+ * STEP_HEIGHT) before vertical movement (landing on the floor, box tops
+ * and ramps, or bumping a ceiling).
+ *
+ * Crouching keeps the feet where they are and lowers the eyes; a
+ * crouching player under something low stays crouched until there is
+ * room to stand. A slide starts at SLIDE_SPEED in the direction of
+ * movement and keeps that momentum, losing SLIDE_FRICTION on the ground,
+ * until it is down to crouching speed.
+ */
+
+export const RUN_SPEED = 6; // m/s
+export const CROUCH_SPEED = 3; // m/s
+export const SLIDE_SPEED = 9; // m/s at the start of a slide
+export const SLIDE_FRICTION = 6; // m/s^2 lost while sliding on the ground
+export const JUMP_VELOCITY = 8; // m/s
+export const GRAVITY = 25; // m/s^2
+export const STAND_HEIGHT = 1.6; // eye height above the feet
+export const CROUCH_HEIGHT = 1.0;
+export const HEAD_CLEARANCE = 0.2; // top of the head above the eyes
+export const PLAYER_RADIUS = 0.3;
+export const STEP_HEIGHT = 0.35; // ledges this high are walked up without jumping
+
+// Longest step a single input may simulate. Frames longer than this
+// (a backgrounded tab, a debugger pause) are simply slowed down.
+export const MAX_INPUT_DT = 0.1; // s
+
+const MAX_SUBSTEP = PLAYER_RADIUS / 2; // m moved per collision pass
+const MAX_SUBSTEPS = 16;
+const SKIN = 0.001; // m of tolerance for touching surfaces
+
+export function createMoveState(x = 0, y = STAND_HEIGHT, z = 0) {
+  return { x, y, z, velocityY: 0, onGround: false, crouching: false, slideHeld: false, slideX: 0, slideZ: 0 };
+}
+
+// Collision data for a map (the JSON format described in lib/maps.js):
+// obstacle and ramp AABBs in { min, max } form plus the floor's half
+// extents. Ramps keep `rise`, the axis and direction their slope
+// climbs in ('+x', '-x', '+z' or '-z').
+export function createCollisionWorld(map) {
+  const aabb = ({ position: p, size: s }) => ({
+    min: { x: p.x - s.x / 2, y: p.y - s.y / 2, z: p.z - s.z / 2 },
+    max: { x: p.x + s.x / 2, y: p.y + s.y / 2, z: p.z + s.z / 2 },
+  });
+  return {
+    boxes: map.obstacles.map(aabb),
+    ramps: (map.ramps || []).map((ramp) => ({ ...aabb(ramp), rise: ramp.rise })),
+    bounds: { x: map.floor.width / 2, z: map.floor.depth / 2 },
+  };
+}
+
+// Height of a ramp's slope above (x, z), clamped to its footprint
+export function rampHeight(ramp, x, z) {
+  const axis = ramp.rise[1];
+  const value = axis === 'x' ? x : z;
+  const t = (clamp(value, ramp.min[axis], ramp.max[axis]) - ramp.min[axis]) / (ramp.max[axis] - ramp.min[axis]);
+  const f = ramp.rise[0] === '+' ? t : 1 - t;
+  return ramp.min.y + f * (ramp.max.y - ramp.min.y);
+}
+
+export function eyeHeight(crouching) {
+  return crouching ? CROUCH_HEIGHT : STAND_HEIGHT;
+}
+
+// Advance `state` in place by one input, in `world` (see
+// createCollisionWorld).
+export function applyInput(state, input, world) {
+  const dt = Math.min(Math.max(input.dt, 0), MAX_INPUT_DT);
+  let feet = state.y - eyeHeight(state.crouching);
+
+  // Horizontal direction from the view yaw, ignoring pitch
+  const sin = Math.sin(input.yaw);
+  const cos = Math.cos(input.yaw);
+  let moveX = -sin * input.forward + cos * input.strafe;
+  let moveZ = -cos * input.forward - sin * input.strafe;
+  const len = Math.hypot(moveX, moveZ);
+  if (len > 0) {
+    moveX /= len;
+    moveZ /= len;
+  }
+
+  // A slide starts on the press of the slide key, on the ground and
+  // while moving; holding the key doesn't chain slides
+  let sliding = state.slideX !== 0 || state.slideZ !== 0;
+  if (input.slide && !state.slideHeld && state.onGround && !sliding && len > 0) {
+    state.slideX = moveX * SLIDE_SPEED;
+    state.slideZ = moveZ * SLIDE_SPEED;
+    sliding = true;
+  }
+  state.slideHeld = input.slide;
+
+  // Standing up needs room above the head
+  if (input.crouch || sliding) {
+    state.crouching = true;
+  } else if (state.crouching && fits(world, state.x, state.z, feet, STAND_HEIGHT + HEAD_CLEARANCE)) {
+    state.crouching = false;
+  }
+  const height = eyeHeight(state.crouching) + HEAD_CLEARANCE;
+
+  let velocityX;
+  let velocityZ;
+  if (sliding) {
+    velocityX = state.slideX;
+    velocityZ = state.slideZ;
+  } else {
+    const speed = state.crouching ? CROUCH_SPEED : RUN_SPEED;
+    velocityX = moveX * speed;
+    velocityZ = moveZ * speed;
+  }
+
+  // Jumping
+  if (input.jump && state.onGround) {
+    state.velocityY = JUMP_VELOCITY;
+    state.onGround = false;
+  }
+
+  const distance = Math.max(Math.hypot(velocityX, velocityZ), Math.abs(state.velocityY)) * dt;
+  const steps = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(distance / MAX_SUBSTEP)));
+  const stepDt = dt / steps;
+  for (let i = 0; i < steps; i++) {
+    const startX = state.x;
+    const startZ = state.z;
+    feet = moveHorizontal(state, velocityX * stepDt, velocityZ * stepDt, world, feet, height);
+    feet = moveVertical(state, stepDt, world, feet, height);
+    if (sliding) {
+      // Walls take away the part of the slide that goes into them
+      const slideSpeed = Math.hypot(velocityX, velocityZ);
+      velocityX = (state.x - startX) / stepDt;
+      velocityZ = (state.z - startZ) / stepDt;
+      const speed = Math.hypot(velocityX, velocityZ);
+      if (speed > slideSpeed) {
+        velocityX *= slideSpeed / speed;
+        velocityZ *= slideSpeed / speed;
+      }
+    }
+  }
+
+  if (sliding) {
+    // Friction only bites on the ground; a slide ends at crouching speed
+    const speed = Math.hypot(velocityX, velocityZ);
+    const slowed = state.onGround ? speed - SLIDE_FRICTION * dt : speed;
+    if (slowed <= CROUCH_SPEED) {
+      state.slideX = 0;
+      state.slideZ = 0;
+    } else {
+      state.slideX = (velocityX / speed) * slowed;
+      state.slideZ = (velocityZ / speed) * slowed;
+    }
+  }
+  state.y = feet + eyeHeight(state.crouching);
+  return state;
+}
+
+// Move sideways by (dx, dz) and resolve collisions. Returns the new
+// feet height, which changes when stepping up a ledge.
+function moveHorizontal(state, dx, dz, world, feet, height) {
+  state.x += dx;
+  state.z += dz;
+  for (const box of world.boxes) {
+    // Boxes we stand on, or that pass over our head, don't block
+    if (box.max.y <= feet + SKIN || box.min.y >= feet + height) continue;
+    if (!circleOverlaps(state.x, state.z, box)) continue;
+    if (state.onGround && box.max.y - feet <= STEP_HEIGHT && fits(world, state.x, state.z, box.max.y, height)) {
+      feet = box.max.y;
+      continue;
+    }
+    pushOut(state, box);
+  }
+  for (const ramp of world.ramps) {
+    if (ramp.min.y >= feet + height || !circleOverlaps(state.x, state.z, ramp)) continue;
+    // A ramp is only a wall where its slope is too high to step onto,
+    // like its high end seen from the side
+    const cx = clamp(state.x, ramp.min.x, ramp.max.x);
+    const cz = clamp(state.z, ramp.min.z, ramp.max.z);
+    if (rampHeight(ramp, cx, cz) - feet > STEP_HEIGHT) pushOut(state, ramp);
+  }
+  // The edge of the floor is a wall
+  const { bounds } = world;
+  state.x = clamp(state.x, -bounds.x + PLAYER_RADIUS, bounds.x - PLAYER_RADIUS);
+  state.z = clamp(state.z, -bounds.z + PLAYER_RADIUS, bounds.z - PLAYER_RADIUS);
+  return feet;
+}
+
+// Apply gravity, land on whatever is below and stop at ceilings.
+// Returns the new feet height.
+function moveVertical(state, dt, world, feet, height) {
+  state.velocityY -= GRAVITY * dt;
+  let next = feet + state.velocityY * dt;
+  if (state.velocityY > 0) {
+    const ceiling = ceilingHeight(world, state.x, state.z, feet + height);
+    if (next + height > ceiling) {
+      next = ceiling - height;
+      state.velocityY = 0;
+    }
+    state.onGround = false;
+    return next;
+  }
+  // On the ground we follow it down slopes and small steps instead of
+  // falling off them
+  const ground = groundHeight(world, state.x, state.z, feet + SKIN);
+  if (next <= ground || (state.onGround && feet - ground <= STEP_HEIGHT)) {
+    state.velocityY = 0;
+    state.onGround = true;
+    return ground;
+  }
+  state.onGround = false;
+  return next;
+}
+
+// Highest surface under the capsule at (x, z) that is no higher than
+// `maxHeight`: the floor, a box top or a ramp's slope
+function groundHeight(world, x, z, maxHeight) {
+  let ground = 0;
+  for (const box of world.boxes) {
+    if (box.max.y <= maxHeight && box.max.y > ground && circleOverlaps(x, z, box)) ground = box.max.y;
+  }
+  for (const ramp of world.ramps) {
+    // Ramps carry whoever's centre is over them
+    if (x < ramp.min.x || x > ramp.max.x || z < ramp.min.z || z > ramp.max.z) continue;
+    const h = rampHeight(ramp, x, z);
+    if (h <= maxHeight + STEP_HEIGHT && h > ground) ground = h;
+  }
+  return ground;
+}
+
+// Lowest box bottom above `head` over the capsule at (x, z)
+function ceilingHeight(world, x, z, head) {
+  let ceiling = Infinity;
+  for (const box of world.boxes) {
+    if (box.min.y >= head - SKIN && box.min.y < ceiling && circleOverlaps(x, z, box)) ceiling = box.min.y;
+  }
+  return ceiling;
+}
+
+// Whether a capsule `height` tall with its feet at `feet` has room at (x, z)
+function fits(world, x, z, feet, height) {
+  return !world.boxes.some(
+    (box) => box.max.y > feet + SKIN && box.min.y < feet + height && circleOverlaps(x, z, box),
+  );
+}
+
+function circleOverlaps(x, z, box) {
+  const dx = x - clamp(x, box.min.x, box.max.x);
+  const dz = z - clamp(z, box.min.z, box.max.z);
+  return dx * dx + dz * dz < PLAYER_RADIUS * PLAYER_RADIUS;
+}
+
+// Move the capsule's circle out of a box footprint the shortest way
+function pushOut(state, box) {
+  const cx = clamp(state.x, box.min.x, box.max.x);
+  const cz = clamp(state.z, box.min.z, box.max.z);
+  const dx = state.x - cx;
+  const dz = state.z - cz;
+  const d = Math.hypot(dx, dz);
+  if (d > 1e-9) {
+    state.x = cx + (dx / d) * PLAYER_RADIUS;
+    state.z = cz + (dz / d) * PLAYER_RADIUS;
+    return;
+  }
+  // Centre inside the box: out through the nearest side
+  const exits = [
+    [box.min.x - PLAYER_RADIUS - state.x, 0],
+    [box.max.x + PLAYER_RADIUS - state.x, 0],
+    [0, box.min.z - PLAYER_RADIUS - state.z],
+    [0, box.max.z + PLAYER_RADIUS - state.z],
+  ];
+  let best = exits[0];
+  for (const exit of exits) {
+    if (Math.abs(exit[0] + exit[1]) < Math.abs(best[0] + best[1])) best = exit;
+  }
+  state.x += best[0];
+  state.z += best[1];
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
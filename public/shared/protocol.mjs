@@ -0,0 +1,232 @@
+/*
+ * Compact binary encoding for high-frequency messages.
+ *
+ * `input`, `shoot`, `snapshot` and `ack` are sent many times a second,
+ * so clients that negotiate PROTOCOL_VERSION at `welcome` exchange them
+ * as binary WebSocket frames instead of JSON. Every other message stays
+ * JSON. Decoded messages have exactly the same shape as their JSON
+ * counterparts, so handlers don't care which encoding was used.
+ *
+ * Layout: one byte message type id followed by big-endian fields.
+ * Positions are centimetres in an int16 (+-327 m), angles are int16
+ * fractions of pi and direction vectors are int16 fractions of 1.
+ * Velocities are cm/s in an int16.
+ */
+
+export const PROTOCOL_VERSION = 3;
+
+export const MessageType = {
+  input: 1,
+  shoot: 2,
+  snapshot: 3,
+  ack: 4,
+};
+
+const typeNames = Object.fromEntries(Object.entries(MessageType).map(([name, id]) => [id, name]));
+
+const POSITION_SCALE = 100; // cm
+const ANGLE_SCALE = 32767 / Math.PI;
+const UNIT_SCALE = 32767;
+const DT_SCALE = 10000; // 0.1 ms steps; MAX_INPUT_DT fits comfortably
+const VELOCITY_SCALE = 100;
+
+const INPUT_SIZE = 4 + 2 + 1 + 2 + 2; // seq, dt, flags, yaw, pitch
+const SNAPSHOT_PLAYER_SIZE = 4 + 6 + 4 + 1 + 1; // id, position, yaw/pitch, health, flags
+const ACK_SIZE = 1 + 4 + 6 + 2 + 4 + 1; // type, seq, position, velocityY, slide velocity, flags
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function wrapAngle(a) {
+  a %= 2 * Math.PI;
+  if (a >= Math.PI) a -= 2 * Math.PI;
+  if (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+
+const q = {
+  position: (v) => clamp(Math.round(v * POSITION_SCALE), -32768, 32767),
+  angle: (a) => clamp(Math.round(wrapAngle(a) * ANGLE_SCALE), -32767, 32767),
+  unit: (v) => clamp(Math.round(v * UNIT_SCALE), -32767, 32767),
+  dt: (v) => clamp(Math.round(v * DT_SCALE), 0, 65535),
+};
+
+// Round an input to exactly what the server will decode, so the
+// client predicts with the same numbers the server simulates.
+export function quantizeInput(input) {
+  input.dt = q.dt(input.dt) / DT_SCALE;
+  input.yaw = q.angle(input.yaw) / ANGLE_SCALE;
+  input.pitch = q.angle(input.pitch) / ANGLE_SCALE;
+  return input;
+}
+
+// Encode a message object. Returns null for message types that are
+// always sent as JSON.
+export function encodeMessage(msg) {
+  switch (msg.type) {
+    case 'input': {
+      const count = Math.min(msg.inputs.length, 255);
+      const view = new DataView(new ArrayBuffer(2 + count * INPUT_SIZE));
+      view.setUint8(0, MessageType.input);
+      view.setUint8(1, count);
+      let o = 2;
+      for (let i = 0; i < count; i++) {
+        const input = msg.inputs[i];
+        const flags =
+          (input.forward + 1) |
+          ((input.strafe + 1) << 2) |
+          (input.jump ? 16 : 0) |
+          (input.crouch ? 32 : 0) |
+          (input.slide ? 64 : 0);
+        view.setUint32(o, input.seq);
+        view.setUint16(o + 4, q.dt(input.dt));
+        view.setUint8(o + 6, flags);
+        view.setInt16(o + 7, q.angle(input.yaw));
+        view.setInt16(o + 9, q.angle(input.pitch));
+        o += INPUT_SIZE;
+      }
+      return new Uint8Array(view.buffer);
+    }
+    case 'shoot': {
+      const view = new DataView(new ArrayBuffer(1 + 6 + 6 + 8));
+      view.setUint8(0, MessageType.shoot);
+      view.setInt16(1, q.position(msg.origin.x));
+      view.setInt16(3, q.position(msg.origin.y));
+      view.setInt16(5, q.position(msg.origin.z));
+      view.setInt16(7, q.unit(msg.direction.x));
+      view.setInt16(9, q.unit(msg.direction.y));
+      view.setInt16(11, q.unit(msg.direction.z));
+      view.setFloat64(13, msg.firedAt);
+      return new Uint8Array(view.buffer);
+    }
+    case 'snapshot': {
+      const count = Math.min(msg.players.length, 255);
+      const view = new DataView(new ArrayBuffer(1 + 8 + 1 + count * SNAPSHOT_PLAYER_SIZE));
+      view.setUint8(0, MessageType.snapshot);
+      view.setFloat64(1, msg.t);
+      view.setUint8(9, count);
+      let o = 10;
+      for (let i = 0; i < count; i++) {
+        const p = msg.players[i];
+        view.setUint32(o, p.id);
+        view.setInt16(o + 4, q.position(p.x));
+        view.setInt16(o + 6, q.position(p.y));
+        view.setInt16(o + 8, q.position(p.z));
+        view.setInt16(o + 10, q.angle(p.yaw));
+        view.setInt16(o + 12, q.angle(p.pitch));
+        view.setUint8(o + 14, clamp(Math.round(p.health), 0, 255));
+        view.setUint8(o + 15, p.crouching ? 1 : 0);
+        o += SNAPSHOT_PLAYER_SIZE;
+      }
+      return new Uint8Array(view.buffer);
+    }
+    case 'ack': {
+      const view = new DataView(new ArrayBuffer(ACK_SIZE));
+      const s = msg.state;
+      const velocity = (v) => clamp(Math.round(v * VELOCITY_SCALE), -32768, 32767);
+      view.setUint8(0, MessageType.ack);
+      view.setUint32(1, msg.seq);
+      view.setInt16(5, q.position(s.x));
+      view.setInt16(7, q.position(s.y));
+      view.setInt16(9, q.position(s.z));
+      view.setInt16(11, velocity(s.velocityY));
+      view.setInt16(13, velocity(s.slideX));
+      view.setInt16(15, velocity(s.slideZ));
+      view.setUint8(17, (s.onGround ? 1 : 0) | (s.crouching ? 2 : 0) | (s.slideHeld ? 4 : 0));
+      return new Uint8Array(view.buffer);
+    }
+    default:
+      return null;
+  }
+}
+
+// Decode a binary message from a Uint8Array. Throws on truncated or
+// unknown messages.
+export function decodeMessage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = typeNames[view.getUint8(0)];
+  switch (type) {
+    case 'input': {
+      const count = view.getUint8(1);
+      const inputs = [];
+      let o = 2;
+      for (let i = 0; i < count; i++) {
+        const flags = view.getUint8(o + 6);
+        inputs.push({
+          seq: view.getUint32(o),
+          dt: view.getUint16(o + 4) / DT_SCALE,
+          forward: (flags & 3) - 1,
+          strafe: ((flags >> 2) & 3) - 1,
+          jump: (flags & 16) !== 0,
+          crouch: (flags & 32) !== 0,
+          slide: (flags & 64) !== 0,
+          yaw: view.getInt16(o + 7) / ANGLE_SCALE,
+          pitch: view.getInt16(o + 9) / ANGLE_SCALE,
+        });
+        o += INPUT_SIZE;
+      }
+      return { type, inputs };
+    }
+    case 'shoot':
+      return {
+        type,
+        origin: {
+          x: view.getInt16(1) / POSITION_SCALE,
+          y: view.getInt16(3) / POSITION_SCALE,
+          z: view.getInt16(5) / POSITION_SCALE,
+        },
+        direction: normalize({
+          x: view.getInt16(7) / UNIT_SCALE,
+          y: view.getInt16(9) / UNIT_SCALE,
+          z: view.getInt16(11) / UNIT_SCALE,
+        }),
+        firedAt: view.getFloat64(13),
+      };
+    case 'snapshot': {
+      const count = view.getUint8(9);
+      const players = [];
+      let o = 10;
+      for (let i = 0; i < count; i++) {
+        players.push({
+          id: view.getUint32(o),
+          x: view.getInt16(o + 4) / POSITION_SCALE,
+          y: view.getInt16(o + 6) / POSITION_SCALE,
+          z: view.getInt16(o + 8) / POSITION_SCALE,
+          yaw: view.getInt16(o + 10) / ANGLE_SCALE,
+          pitch: view.getInt16(o + 12) / ANGLE_SCALE,
+          health: view.getUint8(o + 14),
+          crouching: (view.getUint8(o + 15) & 1) !== 0,
+        });
+        o += SNAPSHOT_PLAYER_SIZE;
+      }
+      return { type, t: view.getFloat64(1), players };
+    }
+    case 'ack': {
+      const flags = view.getUint8(17);
+      return {
+        type,
+        seq: view.getUint32(1),
+        state: {
+          x: view.getInt16(5) / POSITION_SCALE,
+          y: view.getInt16(7) / POSITION_SCALE,
+          z: view.getInt16(9) / POSITION_SCALE,
+          velocityY: view.getInt16(11) / VELOCITY_SCALE,
+          onGround: (flags & 1) !== 0,
+          crouching: (flags & 2) !== 0,
+          slideHeld: (flags & 4) !== 0,
+          slideX: view.getInt16(13) / VELOCITY_SCALE,
+          slideZ: view.getInt16(15) / VELOCITY_SCALE,
+        },
+      };
+    }
+    default:
+      throw new Error(`Unknown binary message type ${view.getUint8(0)}`);
+  }
+}
+
+// Quantizing the components un-normalizes the vector slightly
+function normalize(v) {
+  const len = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
@@ -0,0 +1,167 @@
+/*
+ * Weapon table and loadout rules shared by the browser and the server.
+ *
+ * The client uses these to predict ammo, fire rate and reloads so the
+ * HUD reacts instantly; the server runs the same rules on every `shoot`
+ * message and drops shots the player's weapon could not have fired.
+ * Spread is always applied by the server.
+ *
+ * Damage falls off linearly from `falloff.start` to `falloff.end`
+ * metres, down to `falloff.min` times the base damage. Shotguns fire
+ * `pellets` rays per shot, each doing `damage`. Times are in seconds,
+ * spread is the half-angle of the cone in radians. Display names are in
+ * the locale files, under `weapon.<id>`.
+ */
+
+export const WEAPONS = {
+  rifle: {
+    id: 'rifle',
+    damage: 25,
+    pellets: 1,
+    spread: 0.012,
+    fireInterval: 0.15,
+    automatic: true,
+    magazine: 30,
+    reloadTime: 1.5,
+    range: 60,
+    falloff: { start: 20, end: 60, min: 0.6 },
+  },
+  shotgun: {
+    id: 'shotgun',
+    damage: 14,
+    pellets: 8,
+    spread: 0.09,
+    fireInterval: 0.9,
+    automatic: false,
+    magazine: 6,
+    reloadTime: 2.5,
+    range: 30,
+    falloff: { start: 6, end: 25, min: 0.2 },
+  },
+  pistol: {
+    id: 'pistol',
+    damage: 20,
+    pellets: 1,
+    spread: 0.02,
+    fireInterval: 0.25,
+    automatic: false,
+    magazine: 12,
+    reloadTime: 1.2,
+    range: 45,
+    falloff: { start: 10, end: 40, min: 0.5 },
+  },
+  sniper: {
+    id: 'sniper',
+    damage: 90,
+    pellets: 1,
+    spread: 0,
+    fireInterval: 1.3,
+    automatic: false,
+    magazine: 5,
+    reloadTime: 3,
+    range: 150,
+    falloff: { start: 150, end: 150, min: 1 },
+  },
+};
+
+// Slot order: number keys 1-4 and the scroll wheel follow this
+export const WEAPON_ORDER = ['rifle', 'shotgun', 'pistol', 'sniper'];
+export const DEFAULT_WEAPON = 'rifle';
+export const SWITCH_TIME = 0.3; // s before a newly drawn weapon can fire
+
+export function damageAt(weapon, distance) {
+  const { start, end, min } = weapon.falloff;
+  if (distance <= start) return weapon.damage;
+  if (distance >= end) return weapon.damage * min;
+  const f = (distance - start) / (end - start);
+  return weapon.damage * (1 - f * (1 - min));
+}
+
+// Whether `id` names a weapon. Ids come from clients, so a plain
+// lookup would also accept 'constructor' and friends.
+export function isWeapon(id) {
+  return Object.prototype.hasOwnProperty.call(WEAPONS, id);
+}
+
+// A fresh set of full magazines
+export function createLoadout(current = DEFAULT_WEAPON) {
+  const ammo = {};
+  for (const id of WEAPON_ORDER) ammo[id] = WEAPONS[id].magazine;
+  return { current: isWeapon(current) ? current : DEFAULT_WEAPON, ammo, nextShotAt: 0, reloadEndsAt: 0 };
+}
+
+// Finish a reload whose time is up. `now` is in milliseconds.
+export function updateLoadout(loadout, now) {
+  if (loadout.reloadEndsAt && now >= loadout.reloadEndsAt) {
+    loadout.ammo[loadout.current] = WEAPONS[loadout.current].magazine;
+    loadout.reloadEndsAt = 0;
+  }
+}
+
+export function isReloading(loadout) {
+  return loadout.reloadEndsAt > 0;
+}
+
+// Try to fire the current weapon at `now` (ms). `grace` lets shots
+// arrive a little early to absorb network jitter without letting the
+// sustained rate exceed the weapon's. Returns false when the weapon
+// cannot fire; an emptied magazine starts reloading by itself.
+export function fire(loadout, now, grace = 0) {
+  updateLoadout(loadout, now);
+  const weapon = WEAPONS[loadout.current];
+  if (isReloading(loadout) || loadout.ammo[weapon.id] <= 0) return false;
+  if (now < loadout.nextShotAt - grace) return false;
+  loadout.nextShotAt = Math.max(now, loadout.nextShotAt) + weapon.fireInterval * 1000;
+  loadout.ammo[weapon.id]--;
+  if (loadout.ammo[weapon.id] === 0) startReload(loadout, now);
+  return true;
+}
+
+export function startReload(loadout, now) {
+  updateLoadout(loadout, now);
+  const weapon = WEAPONS[loadout.current];
+  if (isReloading(loadout) || loadout.ammo[weapon.id] >= weapon.magazine) return false;
+  loadout.reloadEndsAt = now + weapon.reloadTime * 1000;
+  return true;
+}
+
+// Draw another weapon; an unfinished reload is abandoned
+export function switchWeapon(loadout, id, now) {
+  if (!isWeapon(id) || id === loadout.current) return false;
+  updateLoadout(loadout, now);
+  loadout.current = id;
+  loadout.reloadEndsAt = 0;
+  // The old weapon's cooldown doesn't carry over; the draw time does
+  loadout.nextShotAt = now + SWITCH_TIME * 1000;
+  // Switching to an empty weapon reloads it straight away
+  if (loadout.ammo[id] === 0) startReload(loadout, now);
+  return true;
+}
+
+// A random direction within `spread` radians of `dir` (normalized),
+// uniformly distributed over the cone's cap.
+export function spreadDirection(dir, spread, random = Math.random) {
+  if (spread <= 0) return { x: dir.x, y: dir.y, z: dir.z };
+  // Any vector not parallel to dir gives us a basis around it
+  const helper = Math.abs(dir.y) < 0.99 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+  let ux = dir.y * helper.z - dir.z * helper.y;
+  let uy = dir.z * helper.x - dir.x * helper.z;
+  let uz = dir.x * helper.y - dir.y * helper.x;
+  const ul = Math.hypot(ux, uy, uz);
+  ux /= ul;
+  uy /= ul;
+  uz /= ul;
+  const vx = dir.y * uz - dir.z * uy;
+  const vy = dir.z * ux - dir.x * uz;
+  const vz = dir.x * uy - dir.y * ux;
+  const cosAngle = 1 - random() * (1 - Math.cos(spread));
+  const sinAngle = Math.sqrt(1 - cosAngle * cosAngle);
+  const phi = random() * 2 * Math.PI;
+  const a = sinAngle * Math.cos(phi);
+  const b = sinAngle * Math.sin(phi);
+  return {
+    x: dir.x * cosAngle + ux * a + vx * b,
+    y: dir.y * cosAngle + uy * a + vy * b,
+    z: dir.z * cosAngle + uz * a + vz * b,
+  };
+}
@@ -1,7 +1,17 @@
+const crypto = require('crypto');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { CLOSE, acceptUpgrade, attachConnection, closeWS, rejectUpgrade, sendWS } = require('./lib/websocket');
+const { createRoom, getRoom, listRooms } = require('./lib/rooms');
+const { DEFAULT_MAP, loadMap, mapExists } = require('./lib/maps');
+const { DEFAULT_MODE, modeExists, modeSupportsMap } = require('./lib/modes');
+const { listReplays, replayPath } = require('./lib/replays');
+const { loadProfiles, claimProfile, releaseProfile, leaderboard } = require('./lib/profiles');
+const { shared, loadShared } = require('./lib/shared');
+const { Admin } = require('./lib/admin');
+const { formatMetrics, metrics, startMetrics } = require('./lib/metrics');
+const { log } = require('./lib/log');
 
 /*
  * Simple WebSocket server and lobby manager.
@@ -10,25 +20,59 @@ const crypto = require('crypto');
  * dependencies. It serves static files from the `public` directory
  * and implements enough of the WebSocket protocol to support a
  * small real‑time multiplayer game. Players connect to the root
- * page which establishes a WebSocket connection. All clients are
- * maintained in an in‑memory list and broadcast their state to
- * each other. The server also performs rudimentary hit detection
- * when players shoot. Keep in mind that this is a demonstration
- * suitable for a small MVP and does not include authentication,
+ * page which establishes a WebSocket connection and then joins one
+ * of the rooms listed by `/api/rooms`. Players in a room broadcast
+ * their state to each other. The server also performs rudimentary
+ * hit detection when players shoot. Keep in mind that this is a
+ * demonstration suitable for a small MVP and does not include authentication,
  * security, or scalability features you would expect in a
  * production system.
+ *
+ * Connections drop. `welcome` hands every connection a resume token;
+ * when a player's connection closes, their place in the room is kept
+ * for RECONNECT_GRACE seconds. A new connection that sends `resume`
+ * with that token takes the player over, id and score included. After
+ * the grace period the player is removed as if they had left.
+ *
+ * Setting ADMIN_TOKEN turns on administration (see lib/admin.js): a
+ * console on the server's terminal, the commands as JSON under
+ * `/api/admin/<command>` and Prometheus metrics at `/metrics`. HTTP
+ * requests must send `Authorization: Bearer <ADMIN_TOKEN>`; without a
+ * token these URLs don't exist.
  */
 
-const clients = new Map(); // id -> { socket, name, state, kills, deaths }
+const clients = new Map(); // id -> { socket, ip, name, state, kills, deaths, room }
 let nextId = 1;
+const admin = new Admin(clients, removeClient);
+
+const MAX_BODY_SIZE = 1024; // bytes accepted on JSON POST endpoints
+
+// Pages allowed to open a game connection, comma separated. By default
+// only pages served by this server itself may connect.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((o) => o.trim())
+  .filter(Boolean);
+const SUBPROTOCOLS = ['fps.v1'];
+
+// Bots keep the lobby at this many players while anyone is in it, so a
+// lone player has something to shoot at. 0 turns them off.
+const LOBBY_BOTS = process.env.LOBBY_BOTS === undefined ? 4 : Number(process.env.LOBBY_BOTS) || 0;
+const LOBBY_BOT_DIFFICULTY = process.env.LOBBY_BOT_DIFFICULTY || 'normal';
+
+// Seconds a dropped player may take to reconnect. 0 removes them at once.
+const RECONNECT_GRACE = process.env.RECONNECT_GRACE === undefined ? 20 : Number(process.env.RECONNECT_GRACE) || 0;
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 
 // Precompute index.html and asset serving to avoid reading from disk on each request.
 function serveFile(filePath, res) {
   const ext = path.extname(filePath).toLowerCase();
   let contentType = 'text/plain';
   if (ext === '.html') contentType = 'text/html';
-  else if (ext === '.js') contentType = 'text/javascript';
+  else if (ext === '.js' || ext === '.mjs') contentType = 'text/javascript';
   else if (ext === '.css') contentType = 'text/css';
+  else if (ext === '.json') contentType = 'application/json';
   else if (ext === '.png') contentType = 'image/png';
   else if (ext === '.jpg' || ext === '.jpeg') contentType = 'image/jpeg';
 
@@ -43,8 +87,160 @@ function serveFile(filePath, res) {
   });
 }
 
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readJSONBody(req, callback) {
+  let body = '';
+  let tooLarge = false;
+  req.on('data', (chunk) => {
+    if (tooLarge) return;
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      tooLarge = true;
+      callback(new Error('Body too large'));
+    }
+  });
+  req.on('end', () => {
+    if (tooLarge) return;
+    try {
+      callback(null, body ? JSON.parse(body) : {});
+    } catch (e) {
+      callback(e);
+    }
+  });
+}
+
+// Room browser API: GET lists rooms, POST creates one.
+function handleRoomsAPI(req, res) {
+  if (req.method === 'GET') {
+    return sendJSON(res, 200, listRooms());
+  }
+  if (req.method === 'POST') {
+    return readJSONBody(req, (err, body) => {
+      if (err) return sendJSON(res, 400, { error: 'Invalid JSON' });
+      const map = body.map || DEFAULT_MAP;
+      if (!mapExists(map)) return sendJSON(res, 400, { error: 'Unknown map' });
+      const mode = body.mode || DEFAULT_MODE;
+      if (!modeExists(mode)) return sendJSON(res, 400, { error: 'Unknown mode' });
+      if (!modeSupportsMap(mode, loadMap(map))) return sendJSON(res, 400, { error: 'Map does not support this mode' });
+      const room = createRoom({
+        name: body.name,
+        maxPlayers: body.maxPlayers,
+        map,
+        mode,
+        bots: body.bots,
+        botDifficulty: body.botDifficulty,
+        respawnDelay: body.respawnDelay,
+      });
+      if (!room) return sendJSON(res, 503, { error: 'Too many rooms' });
+      sendJSON(res, 201, room.summary());
+    });
+  }
+  res.writeHead(405, { Allow: 'GET, POST' });
+  res.end();
+}
+
+// GET /api/leaderboard: lifetime stats of the best players
+function handleLeaderboardAPI(req, res) {
+  if (req.method !== 'GET') {
+    res.writeHead(405, { Allow: 'GET' });
+    return res.end();
+  }
+  sendJSON(res, 200, leaderboard());
+}
+
+// GET /api/replays lists saved replays, GET /api/replays/<id> returns
+// one as gzipped JSON (browsers unpack it transparently)
+function handleReplaysAPI(req, res, id) {
+  if (req.method !== 'GET') {
+    res.writeHead(405, { Allow: 'GET' });
+    return res.end();
+  }
+  if (!id) {
+    return listReplays((err, replays) => {
+      if (err) return sendJSON(res, 500, { error: 'Cannot list replays' });
+      sendJSON(res, 200, replays);
+    });
+  }
+  const file = replayPath(id);
+  if (!file) return sendJSON(res, 404, { error: 'Unknown replay' });
+  fs.readFile(file, (err, data) => {
+    if (err) return sendJSON(res, 404, { error: 'Unknown replay' });
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+    res.end(data);
+  });
+}
+
+// Whether the request carries the admin token. Compared in constant
+// time so the token can't be guessed a character at a time.
+function isAdmin(req) {
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function refuseAdmin(res) {
+  res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+  res.end(JSON.stringify({ error: 'Invalid admin token' }));
+}
+
+// Admin API: POST /api/admin/<command> with the arguments as a JSON
+// body. Read-only commands (players, rooms, ...) also answer a GET.
+function handleAdminAPI(req, res, command) {
+  if (!isAdmin(req)) return refuseAdmin(res);
+  if (!Admin.hasCommand(command)) return sendJSON(res, 404, { error: 'Unknown command' });
+  const allow = Admin.isReadOnly(command) ? 'GET, POST' : 'POST';
+  if (!allow.split(', ').includes(req.method)) {
+    res.writeHead(405, { Allow: allow });
+    return res.end();
+  }
+  if (req.method === 'GET') return sendJSON(res, 200, admin.run(command));
+  readJSONBody(req, (err, body) => {
+    if (err || body === null || typeof body !== 'object') return sendJSON(res, 400, { error: 'Invalid JSON' });
+    const result = admin.run(command, body);
+    sendJSON(res, result && result.error ? 400 : 200, result);
+  });
+}
+
+// GET /metrics in the Prometheus text format
+function handleMetrics(req, res) {
+  if (!isAdmin(req)) return refuseAdmin(res);
+  if (req.method !== 'GET') {
+    res.writeHead(405, { Allow: 'GET' });
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(formatMetrics(metrics()));
+}
+
+// The peer's address, with IPv4 addresses as plain dotted quads
+function clientAddress(socket) {
+  return (socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
 // Create HTTP server
 const server = http.createServer((req, res) => {
+  const url = req.url.split('?')[0];
+  if (url === '/api/rooms') {
+    return handleRoomsAPI(req, res);
+  }
+  if (url === '/api/leaderboard') {
+    return handleLeaderboardAPI(req, res);
+  }
+  const replay = /^\/api\/replays(?:\/([^/]+))?$/.exec(url);
+  if (replay) {
+    return handleReplaysAPI(req, res, replay[1]);
+  }
+  const adminCommand = /^\/api\/admin\/([a-z]+)$/.exec(url);
+  if (ADMIN_TOKEN && adminCommand) {
+    return handleAdminAPI(req, res, adminCommand[1]);
+  }
+  if (ADMIN_TOKEN && url === '/metrics') {
+    return handleMetrics(req, res);
+  }
   // Basic static file serving
   let filePath = path.join(__dirname, 'public', req.url === '/' ? 'index.html' : req.url);
   // Prevent directory traversal attacks
@@ -57,165 +253,100 @@ const server = http.createServer((req, res) => {
 
 // Handle WebSocket handshake and communication
 server.on('upgrade', (req, socket) => {
-  const acceptHeader = req.headers['sec-websocket-key'];
-  if (!acceptHeader) {
-    socket.end('HTTP/1.1 400 Bad Request');
-    return;
-  }
-  // Compute accept key
-  const acceptKey = crypto
-    .createHash('sha1')
-    .update(acceptHeader + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11', 'binary')
-    .digest('base64');
-  const responseHeaders = [
-    'HTTP/1.1 101 Switching Protocols',
-    'Upgrade: websocket',
-    'Connection: Upgrade',
-    `Sec-WebSocket-Accept: ${acceptKey}`,
-  ];
-  socket.write(responseHeaders.join('\r\n') + '\r\n\r\n');
+  const ip = clientAddress(socket);
+  if (admin.isBanned(ip)) return rejectUpgrade(socket, '403 Forbidden');
+  if (!acceptUpgrade(req, socket, { allowedOrigins: ALLOWED_ORIGINS, subprotocols: SUBPROTOCOLS })) return;
 
   // Assign unique id
   const playerId = nextId++;
-  const client = { socket, name: '', state: {}, kills: 0, deaths: 0, buffer: Buffer.alloc(0) };
+  const client = {
+    socket,
+    ip,
+    name: '',
+    state: {},
+    kills: 0,
+    deaths: 0,
+    room: null,
+    binary: false,
+    resumeToken: crypto.randomBytes(16).toString('hex'),
+    dropTimer: null, // set while disconnected, waiting for a resume
+  };
   clients.set(playerId, client);
 
-  // Send initial id to client
-  sendWS(socket, { type: 'welcome', id: playerId });
-
-  socket.on('data', (chunk) => {
-    // Append to existing buffer
-    client.buffer = Buffer.concat([client.buffer, chunk]);
-    parseBuffer(client, playerId);
-  });
-
-  socket.on('end', () => {
-    removeClient(playerId);
+  // Send initial id to client, and offer the binary protocol. The
+  // client opts in by echoing the version in `init`.
+  sendWS(socket, {
+    type: 'welcome',
+    id: playerId,
+    serverTime: Date.now(),
+    protocol: shared.protocol.PROTOCOL_VERSION,
+    resumeToken: client.resumeToken,
   });
 
-  socket.on('error', () => {
-    removeClient(playerId);
+  // Who this connection speaks for. A resume switches it to the
+  // player it takes over.
+  const owner = { id: playerId, client };
+  client.conn = attachConnection(socket, {
+    onMessage: (opcode, payload) => handleMessage(owner, opcode, payload),
+    onClose: () => dropClient(owner.id, socket),
   });
 });
 
-function parseBuffer(client, playerId) {
-  let buf = client.buffer;
-  while (true) {
-    if (buf.length < 2) break;
-    const byte1 = buf[0];
-    const byte2 = buf[1];
-    const fin = (byte1 & 0x80) !== 0;
-    const opcode = byte1 & 0x0f;
-    const masked = (byte2 & 0x80) !== 0;
-    let length = byte2 & 0x7f;
-    let offset = 2;
-    if (length === 126) {
-      if (buf.length < 4) break;
-      length = buf.readUInt16BE(2);
-      offset = 4;
-    } else if (length === 127) {
-      if (buf.length < 10) break;
-      const high = buf.readUInt32BE(2);
-      const low = buf.readUInt32BE(6);
-      // We don't expect payloads > 2^32 in this game.
-      length = high * 2 ** 32 + low;
-      offset = 10;
+function handleMessage(owner, opcode, payload) {
+  const { id: playerId, client } = owner;
+  try {
+    let data;
+    if (opcode === 0x1) {
+      data = JSON.parse(payload.toString());
+    } else if (opcode === 0x2 && client.binary) {
+      data = shared.protocol.decodeMessage(payload);
+    } else {
+      // Only text frames, and binary frames once negotiated
+      return;
     }
-    let mask;
-    if (masked) {
-      if (buf.length < offset + 4) break;
-      mask = buf.slice(offset, offset + 4);
-      offset += 4;
+    if (data.type === 'resume') {
+      if (client.room) return;
+      return resumeClient(owner, data);
     }
-    if (buf.length < offset + length) break;
-    let payload = buf.slice(offset, offset + length);
-    if (masked) {
-      for (let i = 0; i < payload.length; i++) {
-        payload[i] ^= mask[i % 4];
+    if (data.type === 'init') {
+      if (client.room) return;
+      client.binary = data.protocol === shared.protocol.PROTOCOL_VERSION;
+      const room = getRoom(data.room);
+      if (!room) return sendWS(client.socket, { type: 'error', code: 'roomNotFound' });
+      // The name is reserved for the profile's token; new players get one
+      const claim = claimProfile(data.token, data.name, data.guest);
+      if (claim.error) return sendWS(client.socket, { type: 'error', code: claim.error });
+      client.profile = claim.profile;
+      const name = claim.profile.name;
+      sendWS(client.socket, { type: 'profile', token: claim.token, name, guest: Boolean(claim.profile.guest) });
+      if (data.spectate === true) {
+        // Watching is always possible, even in a full room
+        room.addSpectator(playerId, client, name);
+      } else if (room.isFull()) {
+        sendWS(client.socket, { type: 'error', code: 'roomFull' });
+      } else {
+        room.join(playerId, client, name);
       }
+      return;
     }
-    const message = payload.toString();
-    handleMessage(client, playerId, opcode, message);
-    buf = buf.slice(offset + length);
-  }
-  client.buffer = buf;
-}
-
-function handleMessage(client, playerId, opcode, message) {
-  // Only handle text frames (opcode 1)
-  if (opcode !== 0x1) return;
-  try {
-    const data = JSON.parse(message);
+    const room = client.room;
+    if (!room) return;
+    // Spectators may talk, but everything else is for players only
+    if (data.type === 'chat') return room.handleChat(playerId, client, data.text, data.team === true);
+    if (client.spectator) return;
     switch (data.type) {
-      case 'init': {
-        client.name = data.name;
-        client.state = data.state;
-        broadcast({ type: 'playerJoined', id: playerId, name: data.name, state: client.state });
-        // Send existing players to new client
-        for (const [id, other] of clients) {
-          if (id === playerId || !other.name) continue;
-          sendWS(client.socket, {
-            type: 'playerJoined',
-            id,
-            name: other.name,
-            state: other.state,
-            kills: other.kills,
-            deaths: other.deaths,
-          });
-        }
+      case 'input':
+        room.handleInput(playerId, data.inputs);
         break;
-      }
-      case 'update': {
-        // Update player's state and broadcast
-        client.state = data.state;
-        broadcastExcept(playerId, { type: 'update', id: playerId, state: client.state });
+      case 'shoot':
+        room.handleShoot(playerId, data.origin, data.direction, data.firedAt);
         break;
-      }
-      case 'shoot': {
-        // Perform simple hit detection on server
-        const shooter = client;
-        const origin = data.origin;
-        const direction = data.direction;
-        const maxDist = 50;
-        let hitId = null;
-        for (const [id, other] of clients) {
-          if (id === playerId) continue;
-          if (!other.state) continue;
-          // Bounding sphere radius: 0.6
-          const dx = other.state.x - origin.x;
-          const dy = other.state.y - origin.y;
-          const dz = other.state.z - origin.z;
-          const proj = dx * direction.x + dy * direction.y + dz * direction.z;
-          if (proj < 0 || proj > maxDist) continue;
-          // Closest point on ray
-          const closestX = origin.x + proj * direction.x;
-          const closestY = origin.y + proj * direction.y;
-          const closestZ = origin.z + proj * direction.z;
-          const distSq =
-            (other.state.x - closestX) ** 2 + (other.state.y - closestY) ** 2 + (other.state.z - closestZ) ** 2;
-          if (distSq < 0.6 * 0.6) {
-            hitId = id;
-            break;
-          }
-        }
-        if (hitId) {
-          const victim = clients.get(hitId);
-          victim.state.health -= 25;
-          if (victim.state.health <= 0) {
-            shooter.kills++;
-            victim.deaths++;
-            victim.state.health = 100;
-            // Respawn victim at random position
-            victim.state.x = (Math.random() - 0.5) * 20;
-            victim.state.z = (Math.random() - 0.5) * 20;
-            victim.state.y = 1.6;
-            broadcast({ type: 'playerKilled', killer: playerId, victim: hitId });
-            // Also send update of respawned state
-            broadcast({ type: 'update', id: hitId, state: victim.state });
-          }
-        }
+      case 'switchWeapon':
+        room.handleSwitchWeapon(playerId, data.weapon);
+        break;
+      case 'reload':
+        room.handleReload(playerId);
         break;
-      }
       default:
         break;
     }
@@ -224,56 +355,65 @@ function handleMessage(client, playerId, opcode, message) {
   }
 }
 
-function broadcast(data) {
-  const message = JSON.stringify(data);
-  for (const [id, client] of clients) {
-    sendWS(client.socket, message, true);
-  }
-}
-
-function broadcastExcept(exceptId, data) {
-  const message = JSON.stringify(data);
-  for (const [id, client] of clients) {
-    if (id === exceptId) continue;
-    sendWS(client.socket, message, true);
-  }
+// Called once a connection is gone, however it ended. Players and
+// spectators get RECONNECT_GRACE seconds to come back.
+function dropClient(id, socket) {
+  const client = clients.get(id);
+  // Connections replaced by a resume have nothing left to clean up
+  if (!client || client.socket !== socket) return;
+  if (!client.room || RECONNECT_GRACE === 0) return removeClient(id);
+  client.dropTimer = setTimeout(() => removeClient(id), RECONNECT_GRACE * 1000);
 }
 
 function removeClient(id) {
   const client = clients.get(id);
   if (!client) return;
+  clearTimeout(client.dropTimer);
   clients.delete(id);
-  broadcast({ type: 'playerLeft', id });
-  try {
-    client.socket.destroy();
-  } catch (e) {}
+  if (client.room) client.room.leave(id);
+  // The same profile may still be playing in another tab
+  const { profile } = client;
+  if (profile && !Array.from(clients.values()).some((other) => other.profile === profile)) releaseProfile(profile);
 }
 
-function sendWS(socket, data, stringified = false) {
-  // Accept either object (to be JSON stringified) or pre‑stringified
-  const message = stringified ? data : JSON.stringify(data);
-  const payloadLength = Buffer.byteLength(message);
-  let header;
-  if (payloadLength < 126) {
-    header = Buffer.alloc(2);
-    header[0] = 0x81; // FIN bit set, text frame
-    header[1] = payloadLength;
-  } else if (payloadLength < 65536) {
-    header = Buffer.alloc(4);
-    header[0] = 0x81;
-    header[1] = 126;
-    header.writeUInt16BE(payloadLength, 2);
-  } else {
-    header = Buffer.alloc(10);
-    header[0] = 0x81;
-    header[1] = 127;
-    header.writeBigUInt64BE(BigInt(payloadLength), 2);
+// Move the player holding `data.token` onto the connection `owner`
+// came in on, dropping the fresh client that connection started as.
+// Unknown tokens and players already removed get `resumeFailed`; the
+// client then joins from scratch.
+function resumeClient(owner, data) {
+  const fresh = owner.client;
+  let found = null;
+  for (const [id, client] of clients) {
+    if (client !== fresh && client.room && typeof data.token === 'string' && client.resumeToken === data.token) {
+      found = { id, client };
+    }
   }
-  const dataBuf = Buffer.from(message);
-  socket.write(Buffer.concat([header, dataBuf]));
+  if (!found) return sendWS(fresh.socket, { type: 'resumeFailed' });
+  const { id, client } = found;
+  clearTimeout(client.dropTimer);
+  client.dropTimer = null;
+  // The old connection may not have noticed it is dead yet
+  const oldConn = client.conn;
+  client.socket = fresh.socket;
+  client.conn = fresh.conn;
+  client.ip = fresh.ip;
+  client.binary = data.protocol === shared.protocol.PROTOCOL_VERSION;
+  closeWS(oldConn, CLOSE.goingAway, 'Resumed on another connection');
+  clients.delete(owner.id);
+  owner.id = id;
+  owner.client = client;
+  client.room.resume(id, client);
 }
 
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  console.log('Server listening on port', PORT);
-});
\ No newline at end of file
+loadProfiles();
+loadShared().then(() => {
+  // One room is always available so there is somewhere to play
+  createRoom({ persistent: true, bots: LOBBY_BOTS, botDifficulty: LOBBY_BOT_DIFFICULTY });
+  startMetrics();
+  server.listen(PORT, () => {
+    // PORT=0 picks a free port; this says which
+    log('listening', { port: server.address().port, admin: Boolean(ADMIN_TOKEN) });
+    if (ADMIN_TOKEN && process.stdin.isTTY) admin.startConsole();
+  });
+});
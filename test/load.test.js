@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { simulate } = require('./support/simulator');
+const { startServer } = require('./support/server');
+
+// A crowd of simulated players against a real server, measuring input
+// latency and the server's CPU time. LOAD_PLAYERS and LOAD_DURATION (s)
+// scale it up; the defaults keep `npm test` quick.
+
+const PLAYERS = Number(process.env.LOAD_PLAYERS) || 12;
+const DURATION = Number(process.env.LOAD_DURATION) || 4;
+const MAX_P95_LATENCY = 200; // ms, input to ack
+const ADMIN_TOKEN = 'load-test';
+
+// A room big enough for everyone
+async function createRoom(server) {
+  const res = await fetch(`${server.httpUrl}/api/rooms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Load test', maxPlayers: PLAYERS }),
+  });
+  return (await res.json()).id;
+}
+
+async function serverMetrics(server) {
+  const res = await fetch(`${server.httpUrl}/api/admin/metrics`, {
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+  });
+  return res.json();
+}
+
+test(`${PLAYERS} players for ${DURATION}s`, async (t) => {
+  const server = await startServer({ ADMIN_TOKEN });
+  try {
+    const room = await createRoom(server);
+    const before = await serverMetrics(server);
+    const startedAt = Date.now();
+    const result = await simulate({ url: server.url, room, players: PLAYERS, duration: DURATION });
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const after = await serverMetrics(server);
+    const cpu = (after.cpuSeconds - before.cpuSeconds) / elapsed;
+
+    t.diagnostic(`inputs ${result.inputs}, shots ${result.shots}, kills ${result.kills}`);
+    t.diagnostic(`latency p50 ${result.latency.p50} ms, p95 ${result.latency.p95} ms, max ${result.latency.max} ms`);
+    t.diagnostic(`server CPU ${(cpu * 100).toFixed(1)}%, sent ${after.bytesOut - before.bytesOut} bytes`);
+
+    assert.strictEqual(result.players, PLAYERS);
+    // Every batch is acknowledged, give or take the last one in flight
+    assert.ok(result.acks >= (result.inputs / 2) * 0.9, `${result.acks} acks for ${result.inputs} inputs`);
+    assert.ok(result.latency.p95 <= MAX_P95_LATENCY, `p95 latency ${result.latency.p95} ms`);
+    assert.ok(result.shots > 0);
+    assert.strictEqual(after.players, 0, 'everyone left again');
+  } finally {
+    await server.stop();
+  }
+});
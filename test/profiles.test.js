@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fps-profiles-'));
+const file = path.join(dir, 'profiles.json');
+process.env.PROFILE_FILE = file;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { claimProfile, leaderboard, recordStats, releaseProfile, saveProfiles } = require('../lib/profiles');
+
+// Names, guests and what ends up in the profile file
+
+// Write the file now and read it back
+async function savedProfiles() {
+  fs.rmSync(file, { force: true });
+  saveProfiles();
+  for (let i = 0; i < 100; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    try {
+      return Object.values(JSON.parse(fs.readFileSync(file, 'utf8')).profiles);
+    } catch (e) {
+      // Not written yet
+    }
+  }
+  throw new Error('Profiles were not saved');
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a name belongs to the token that claimed it', () => {
+  const { token } = claimProfile(null, 'Alice');
+  assert.strictEqual(claimProfile(null, 'alice').error, 'nameTaken');
+  assert.strictEqual(claimProfile(token, 'Alice').profile.name, 'Alice');
+});
+
+test('guests are only saved once they finish a match or choose a name', async () => {
+  const stays = claimProfile(null, '', 'Guest').profile;
+  const plays = claimProfile(null, '', 'Guest').profile;
+  const names = claimProfile(null, '', 'Guest');
+  assert.match(stays.name, /^Guest\d+$/);
+  recordStats(plays, { matches: 1 });
+  claimProfile(names.token, 'Bob');
+  let saved = (await savedProfiles()).map((p) => p.name);
+  assert.ok(!saved.includes(stays.name));
+  assert.ok(saved.includes(plays.name));
+  assert.ok(saved.includes('Bob'));
+  // Gone when they leave; the others stay
+  releaseProfile(stays);
+  releaseProfile(plays);
+  releaseProfile(names.profile);
+  assert.strictEqual(claimProfile(null, stays.name).profile.name, stays.name);
+  saved = (await savedProfiles()).map((p) => p.name);
+  assert.ok(saved.includes(plays.name));
+});
+
+test('the leaderboard only shows guests who finished a match', () => {
+  const watches = claimProfile(null, '', 'Watcher').profile;
+  const plays = claimProfile(null, '', 'Player').profile;
+  recordStats(watches, { kills: 3 });
+  recordStats(plays, { kills: 1, matches: 1 });
+  const names = leaderboard().map((row) => row.name);
+  assert.ok(!names.includes(watches.name));
+  assert.ok(names.includes(plays.name));
+});
+
+test('guest names get longer once the short ones are taken', () => {
+  for (let i = 0; i < 1000; i++) claimProfile(null, `Taken${i}`);
+  const { profile } = claimProfile(null, '', 'Taken');
+  assert.match(profile.name, /^Taken\d{4,}$/);
+});
@@ -0,0 +1,327 @@
+process.env.LOG = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { shared, loadShared } = require('../lib/shared');
+const { Room } = require('../lib/rooms');
+const { decodeFrames } = require('./support/frames');
+
+// Shots, damage, kills and respawns, run against a Room directly with
+// players whose sockets only collect what the room sends them. The map
+// is an empty floor with two walls and a ramp, so every line of fire is
+// known.
+
+const EYE = 1.6;
+const WALL = { position: { x: 10, y: 2, z: 0 }, size: { x: 1, y: 4, z: 10 } };
+// Thinner than the distance a muzzle may be from the shooter's eyes
+const THIN_WALL = { position: { x: 0, y: 2, z: -20 }, size: { x: 10, y: 4, z: 0.2 } };
+// 1.2 m high at x = -18, down to the floor at x = -22
+const RAMP = { position: { x: -20, y: 0.6, z: 0 }, size: { x: 4, y: 1.2, z: 2 }, rise: '+x' };
+
+function testMap() {
+  return {
+    id: 'test',
+    floor: { width: 100, depth: 100 },
+    obstacles: [WALL, THIN_WALL],
+    ramps: [RAMP],
+    spawns: [{ x: -40, z: -40 }],
+  };
+}
+
+function fakeSocket() {
+  const socket = {
+    destroyed: false,
+    writableEnded: false,
+    buffer: Buffer.alloc(0),
+    messages: [],
+    write(bytes) {
+      const { frames, rest } = decodeFrames(Buffer.concat([socket.buffer, bytes]));
+      socket.buffer = rest;
+      for (const frame of frames) socket.messages.push(JSON.parse(frame.payload));
+    },
+  };
+  return socket;
+}
+
+let rooms = [];
+
+function createTestRoom(options = {}) {
+  const room = new Room(rooms.length + 1, { name: 'Test', maxPlayers: 8, map: testMap(), ...options });
+  rooms.push(room);
+  return room;
+}
+
+function addPlayer(room, id, name = `player${id}`) {
+  const client = { socket: fakeSocket(), binary: false };
+  room.join(id, client, name);
+  return client;
+}
+
+// Put a player somewhere, as if they had always been there
+function place(client, x, z, now = Date.now()) {
+  Object.assign(client.state, { x, y: EYE, z, crouching: false });
+  client.history.clear();
+  client.history.record(now, client.state);
+}
+
+function messagesOf(client, type) {
+  return client.socket.messages.filter((m) => m.type === type);
+}
+
+function arm(client, weapon) {
+  client.loadout = shared.weapons.createLoadout(weapon);
+}
+
+test.before(loadShared);
+
+test.afterEach(() => {
+  for (const room of rooms) room.close();
+  rooms = [];
+});
+
+test('a sniper shot to the body does its base damage', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  // Chest height, straight ahead
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(target.state.health, 10);
+  const [hit] = messagesOf(shooter, 'hit');
+  assert.deepStrictEqual(hit, { type: 'hit', victim: 2, damage: 90, headshot: false, killed: false });
+  const [damaged] = messagesOf(target, 'damaged');
+  assert.strictEqual(damaged.attacker, 1);
+  assert.strictEqual(damaged.health, 10);
+});
+
+test('headshots double the damage and kill', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: EYE, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  const [killed] = messagesOf(shooter, 'playerKilled');
+  assert.deepStrictEqual(killed, { type: 'playerKilled', killer: 1, victim: 2, weapon: 'sniper', headshot: true });
+  assert.strictEqual(shooter.kills, 1);
+  assert.strictEqual(target.deaths, 1);
+  // Without a respawn delay the victim is back at once, at a spawn point
+  assert.strictEqual(target.state.health, 100);
+  assert.deepStrictEqual([target.state.x, target.state.z], [-40, -40]);
+  const update = messagesOf(shooter, 'update').find((m) => m.id === 2);
+  assert.strictEqual(update.state.health, 100);
+});
+
+test('damage falls off with distance', () => {
+  const { WEAPONS, damageAt } = shared.weapons;
+  const rifle = WEAPONS.rifle;
+  assert.strictEqual(damageAt(rifle, rifle.falloff.start), rifle.damage);
+  assert.strictEqual(damageAt(rifle, rifle.falloff.end + 10), rifle.damage * rifle.falloff.min);
+  const midway = damageAt(rifle, (rifle.falloff.start + rifle.falloff.end) / 2);
+  assert.ok(midway < rifle.damage && midway > rifle.damage * rifle.falloff.min);
+});
+
+test('shotgun pellets add up on the same target', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 2);
+  arm(shooter, 'shotgun');
+  room.handleShoot(1, { x: 0, y: 1.15, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  // Eight pellets of 14 at point blank, all in the body
+  const [hit] = messagesOf(shooter, 'hit');
+  assert.strictEqual(hit.damage, 112);
+  assert.strictEqual(hit.killed, true);
+});
+
+test('walls stop bullets', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 20, 0);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: EYE, z: 0 }, { x: 1, y: 0, z: 0 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+  assert.strictEqual(messagesOf(shooter, 'hit').length, 0);
+});
+
+test('ramps stop bullets below their slope', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, -26, 0);
+  place(target, -15, 0);
+  arm(shooter, 'sniper');
+  // At the legs, into the slope (the muzzle is held low, but within
+  // reach of the eyes)
+  room.handleShoot(1, { x: -26, y: 0.7, z: 0 }, { x: 1, y: 0, z: 0 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+  // At the head, over the top: a kill
+  shooter.loadout.nextShotAt = 0;
+  room.handleShoot(1, { x: -26, y: EYE, z: 0 }, { x: 1, y: 0, z: 0 }, Date.now());
+  assert.strictEqual(target.deaths, 1);
+});
+
+test('shots from far away from the shooter are refused', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  // Right in front of the target's face
+  room.handleShoot(1, { x: 0, y: EYE, z: 19 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+  assert.strictEqual(messagesOf(target, 'shot').length, 0);
+  // The refused shot cost nothing
+  assert.strictEqual(shooter.loadout.ammo.sniper, shared.weapons.WEAPONS.sniper.magazine);
+});
+
+test('shots cannot start on the other side of a wall', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, -19.6);
+  place(target, 0, -30);
+  arm(shooter, 'sniper');
+  // Half a metre away, but behind the thin wall
+  room.handleShoot(1, { x: 0, y: EYE, z: -20.3 }, { x: 0, y: 0, z: -1 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+  assert.strictEqual(messagesOf(target, 'shot').length, 0);
+});
+
+test('shots are tested against where the target was when the shooter saw it', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  const now = Date.now();
+  place(shooter, 0, 0, now);
+  // The target was at z = 20 100 ms ago, and has stepped aside since
+  place(target, 0, 20, now - 100);
+  target.state.x = 3;
+  target.history.record(now, target.state);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, now - 100);
+  assert.strictEqual(target.state.health, 10);
+  // Aiming at the old spot now misses
+  target.state.health = 100;
+  shooter.loadout.nextShotAt = 0;
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+});
+
+test('the fire rate is enforced by the server', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(target.state.health, 10);
+  assert.strictEqual(messagesOf(shooter, 'hit').length, 1);
+});
+
+test('unknown weapons cannot be drawn', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  for (const weapon of ['constructor', 'toString', '__proto__', 'bazooka']) {
+    room.handleSwitchWeapon(1, weapon);
+    assert.strictEqual(shooter.loadout.current, 'sniper');
+  }
+  // The sniper's fire rate still holds
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(messagesOf(shooter, 'hit').length, 1);
+  assert.strictEqual(shared.weapons.createLoadout('constructor').current, shared.weapons.DEFAULT_WEAPON);
+});
+
+test('teammates cannot hurt each other', () => {
+  const room = createTestRoom({ mode: 'tdm' });
+  const shooter = addPlayer(room, 1);
+  addPlayer(room, 2);
+  const teammate = addPlayer(room, 3);
+  assert.strictEqual(teammate.team, shooter.team);
+  place(shooter, 0, 0);
+  place(teammate, 0, 20);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(teammate.state.health, 100);
+});
+
+test('with a respawn delay the dead wait their turn', () => {
+  const room = createTestRoom({ respawnDelay: 2 });
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  room.handleShoot(1, { x: 0, y: EYE, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  const [killed] = messagesOf(target, 'playerKilled');
+  assert.ok(killed.respawnAt > Date.now());
+  assert.strictEqual(target.dead, true);
+  assert.strictEqual(target.state.health, 0);
+  // Still dead on the next tick, back once the delay is over
+  room.tick();
+  assert.strictEqual(target.dead, true);
+  target.respawnAt = Date.now() - 1;
+  room.tick();
+  assert.strictEqual(target.dead, false);
+  assert.strictEqual(target.state.health, 100);
+  assert.ok(messagesOf(shooter, 'update').some((m) => m.id === 2 && m.state.health === 100));
+});
+
+test('nobody is hurt after the match has ended', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const target = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(target, 0, 20);
+  arm(shooter, 'sniper');
+  room.endMatch();
+  room.handleShoot(1, { x: 0, y: 1.1, z: 0 }, { x: 0, y: 0, z: 1 }, Date.now());
+  assert.strictEqual(target.state.health, 100);
+});
+
+test('shots are relayed to everyone but the shooter', () => {
+  const room = createTestRoom();
+  const shooter = addPlayer(room, 1);
+  const other = addPlayer(room, 2);
+  place(shooter, 0, 0);
+  place(other, 20, 20);
+  arm(shooter, 'rifle');
+  room.handleShoot(1, { x: 0, y: EYE, z: 0 }, { x: 0, y: 0, z: 2 }, Date.now());
+  const [shot] = messagesOf(other, 'shot');
+  assert.deepStrictEqual(shot, {
+    type: 'shot',
+    id: 1,
+    weapon: 'rifle',
+    origin: { x: 0, y: EYE, z: 0 },
+    direction: { x: 0, y: 0, z: 1 },
+  });
+  assert.strictEqual(messagesOf(shooter, 'shot').length, 0);
+});
+
+test('bots patrol to waypoints clear of the walls', () => {
+  const room = createTestRoom({ bots: 2 });
+  addPlayer(room, 1);
+  const [bot] = room.bots.values();
+  for (let i = 0; i < 50; i++) {
+    bot.waypoint = null;
+    bot.pickWaypoint(Date.now());
+    const { x, z } = bot.waypoint;
+    for (const { min, max } of room.world.boxes) {
+      assert.ok(x <= min.x - 1 || x >= max.x + 1 || z <= min.z - 1 || z >= max.z + 1, `waypoint ${x}, ${z} in a wall`);
+    }
+  }
+});
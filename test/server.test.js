@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MAP, loadMap, raycastWorld } = require('../lib/maps');
+const { shared, loadShared } = require('../lib/shared');
+const { TestClient } = require('./support/client');
+const { OPCODE, encodeFrame } = require('./support/frames');
+const { startServer } = require('./support/server');
+
+// The server as browsers see it: a real process, a real handshake and
+// the game protocol on top.
+
+let server;
+const clients = [];
+
+async function connect(options) {
+  const client = await TestClient.connect(server.url, options);
+  clients.push(client);
+  return client;
+}
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.afterEach(async () => {
+  await Promise.all(clients.splice(0).map((client) => client.close()));
+});
+
+test.after(() => server.stop());
+
+test('the handshake ends in a welcome with a resume token', async () => {
+  const client = await connect();
+  assert.ok(client.id > 0);
+  assert.strictEqual(client.welcome.protocol, shared.protocol.PROTOCOL_VERSION);
+  assert.match(client.welcome.resumeToken, /^[0-9a-f]{32}$/);
+});
+
+test('handshakes from other sites are refused', async () => {
+  await assert.rejects(connect({ headers: { Origin: 'http://example.com' } }), /403/);
+});
+
+test('joining brings the room, then binary inputs are acknowledged', async () => {
+  const client = await connect();
+  assert.strictEqual(client.binary, true);
+  await client.join(1);
+  const map = await client.next('map');
+  assert.strictEqual(map.map, 'default');
+  const start = { ...client.state };
+  assert.strictEqual(start.health, 100);
+  // Inputs can't claim more time than has passed since the spawn
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const inputs = [];
+  for (let seq = 1; seq <= 10; seq++) {
+    inputs.push({ seq, dt: 1 / 60, forward: 1, strafe: 0, jump: false, crouch: false, slide: false, yaw: 0, pitch: 0 });
+  }
+  client.send({ type: 'input', inputs });
+  const ack = await client.next('ack', (m) => m.seq === 10);
+  // Ten steps forward at a yaw of 0: 1/6 s at 6 m/s towards -z
+  assert.ok(Math.abs(ack.state.z - (start.z - 1)) < 0.05, `moved to z ${ack.state.z} from ${start.z}`);
+  assert.strictEqual(ack.state.onGround, true);
+  const snapshot = await client.next('snapshot');
+  assert.ok(snapshot.players.some((p) => p.id === client.id));
+});
+
+test('JSON clients get the same messages as text', async () => {
+  const client = await connect({ binary: false });
+  await client.join(1);
+  client.send({ type: 'input', inputs: [{ seq: 1, dt: 1 / 60, forward: 0, strafe: 1, yaw: 0, pitch: 0 }] });
+  const ack = await client.next('ack');
+  assert.strictEqual(ack.seq, 1);
+});
+
+test('messages split into single bytes still arrive', async () => {
+  const client = await connect({ binary: false });
+  // Long enough for a 16-bit length header
+  const init = JSON.stringify({ type: 'init', guest: 'Test', room: 1, padding: 'x'.repeat(200) });
+  const frame = encodeFrame(OPCODE.text, Buffer.from(init));
+  for (const byte of frame) {
+    client.sendRaw(Buffer.from([byte]));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await client.next('matchState');
+});
+
+test('fragmented messages are reassembled, with pings in between', async () => {
+  const client = await connect({ binary: false });
+  const init = Buffer.from(JSON.stringify({ type: 'init', guest: 'Test', room: 1 }));
+  client.sendRaw(
+    Buffer.concat([
+      encodeFrame(OPCODE.text, init.subarray(0, 10), { fin: false }),
+      encodeFrame(OPCODE.ping, Buffer.alloc(0)),
+      encodeFrame(OPCODE.continuation, init.subarray(10)),
+    ])
+  );
+  await client.next('matchState');
+});
+
+test('messages up to 64 KiB are accepted, larger ones close the connection', async () => {
+  const client = await connect({ binary: false });
+  // A 64-bit length header, at exactly the limit
+  const init = JSON.stringify({ type: 'init', guest: 'Test', room: 1 });
+  client.sendFrame(OPCODE.text, Buffer.from(init.padEnd(65536, ' ')));
+  await client.next('matchState');
+  client.sendFrame(OPCODE.text, Buffer.alloc(65537, ' '));
+  assert.strictEqual(await client.closed, 1009);
+});
+
+// A shooter and a victim in room 1, joined again until the shooter's
+// spawn has a clear line to the victim's eyes. Resolves with both and
+// the shot that hits the victim's head from the shooter's own eyes.
+// Only the victim's spawn is random (the shooter's is the one furthest
+// from it), and on the default map about one in eight has a clear line.
+const FACE_OFF_ATTEMPTS = 100;
+
+async function faceOff() {
+  if (!shared.movement) await loadShared();
+  const world = shared.movement.createCollisionWorld(loadMap(DEFAULT_MAP));
+  for (let attempt = 0; attempt < FACE_OFF_ATTEMPTS; attempt++) {
+    const victim = await connect({ binary: false });
+    const shooter = await connect({ binary: false });
+    await victim.join(1);
+    await shooter.join(1);
+    const origin = { x: shooter.state.x, y: shooter.state.y, z: shooter.state.z };
+    const to = victim.state;
+    const offset = { x: to.x - origin.x, y: to.y - origin.y, z: to.z - origin.z };
+    const distance = Math.hypot(offset.x, offset.y, offset.z);
+    const direction = { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance };
+    if (raycastWorld(world, origin, direction) > distance) return { shooter, victim, origin, direction };
+    await Promise.all([victim, shooter].map((client) => clients.splice(clients.indexOf(client), 1)[0].close()));
+  }
+  throw new Error('No spawns with a line of sight');
+}
+
+test('a kill is announced to everyone and the victim respawns', async () => {
+  const { shooter, victim, origin, direction } = await faceOff();
+  // One sniper headshot; the new weapon needs a moment to be drawn
+  shooter.send({ type: 'switchWeapon', weapon: 'sniper' });
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  shooter.send({ type: 'shoot', origin, direction, firedAt: Date.now() });
+  const killed = await shooter.next('playerKilled');
+  assert.deepStrictEqual(
+    [killed.killer, killed.victim, killed.weapon, killed.headshot],
+    [shooter.id, victim.id, 'sniper', true]
+  );
+  await victim.next('playerKilled');
+  const respawn = await victim.next('update', (m) => m.id === victim.id && m.state.health === 100);
+  assert.ok(respawn);
+  assert.ok(server.logs.some((entry) => entry.event === 'kill'));
+});
+
+test('shots fired from away from the shooter are refused', async () => {
+  const { shooter, victim, direction } = await faceOff();
+  shooter.send({ type: 'switchWeapon', weapon: 'sniper' });
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  // Right in front of the victim's face, where walls can't get in the way
+  const { x, y, z } = victim.state;
+  const origin = { x: x - direction.x, y: y - direction.y, z: z - direction.z };
+  shooter.send({ type: 'shoot', origin, direction, firedAt: Date.now() });
+  await assert.rejects(victim.next(['damaged', 'shot'], () => true, 500), /Timed out/);
+  assert.strictEqual(victim.state.health, 100);
+});
+
+test('the lobby keeps running while its bot patrols', async () => {
+  // Long enough for the bot to pick several waypoints
+  const PATROL_TIME = 4000; // ms
+  const HIDE_ATTEMPTS = 20;
+  if (!shared.movement) await loadShared();
+  const world = shared.movement.createCollisionWorld(loadMap(DEFAULT_MAP));
+  // Topped up to two players: us and one bot
+  const botServer = await startServer({ LOBBY_BOTS: '2' });
+  let client;
+  try {
+    // Rejoin until the bot can't see us, so it starts out patrolling
+    let bot;
+    for (let attempt = 0; attempt < HIDE_ATTEMPTS && !bot; attempt++) {
+      if (client) await client.close();
+      client = await TestClient.connect(botServer.url, { binary: false });
+      await client.join(1);
+      const { players } = await client.next('snapshot');
+      const me = players.find((p) => p.id === client.id);
+      const other = players.find((p) => p.id !== client.id);
+      const offset = { x: me.x - other.x, y: me.y - other.y, z: me.z - other.z };
+      const distance = Math.hypot(offset.x, offset.y, offset.z);
+      const direction = { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance };
+      if (raycastWorld(world, other, direction) < distance) bot = other;
+    }
+    assert.ok(bot, 'The bot always had us in sight');
+    const until = Date.now() + PATROL_TIME;
+    await new Promise((resolve) => setTimeout(resolve, PATROL_TIME));
+    const later = await client.next('snapshot', (m) => m.t >= until);
+    const now = later.players.find((p) => p.id === bot.id);
+    assert.ok(Math.hypot(now.x - bot.x, now.z - bot.z) > 1, 'The bot stood still');
+  } finally {
+    if (client) await client.close();
+    await botServer.stop();
+  }
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const http = require('http');
+const { shared, loadShared } = require('../../lib/shared');
+const { OPCODE, decodeFrames, encodeFrame } = require('./frames');
+
+/*
+ * Headless game client.
+ *
+ * Connects through a real WebSocket handshake and speaks the protocol
+ * main.js does: JSON messages, and the binary encoding for the
+ * high-frequency ones once `welcome` offers a version we know. It
+ * answers pings and close frames like a browser would.
+ *
+ * Incoming messages are kept until a test asks for them with next(),
+ * and passed to `onMessage` as they arrive. The client also tracks
+ * where everyone is: `state` for itself (from `update`), `players` for
+ * the others (from snapshots).
+ */
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_TIMEOUT = 2000; // ms
+
+class TestClient {
+  constructor(socket, head, { binary = true, keepMessages = true } = {}) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.wantsBinary = binary;
+    this.binary = false; // whether we agreed on the binary protocol
+    this.keepMessages = keepMessages;
+    this.messages = []; // received and not yet taken by next()
+    this.waiters = [];
+    this.onMessage = null;
+    this.id = null;
+    this.state = null;
+    this.players = new Map(); // id -> latest snapshot entry
+    this.bytesReceived = 0;
+    this.closeCode = null;
+    this.closed = new Promise((resolve) => socket.on('close', () => resolve(this.closeCode)));
+    socket.on('data', (chunk) => this.receive(chunk));
+    // A reset connection shows up as `closed`
+    socket.on('error', () => {});
+    if (head.length > 0) this.receive(head);
+  }
+
+  // Connect to `url` (ws://host:port/ws) and wait for `welcome`.
+  // options.binary: negotiate the binary protocol (default true).
+  // options.headers: extra handshake headers.
+  static async connect(url, { headers = {}, ...options } = {}) {
+    if (!shared.protocol) await loadShared();
+    const { socket, head } = await upgrade(url, headers);
+    const client = new TestClient(socket, head, options);
+    client.welcome = await client.next('welcome');
+    client.id = client.welcome.id;
+    client.binary = client.wantsBinary && client.welcome.protocol === shared.protocol.PROTOCOL_VERSION;
+    return client;
+  }
+
+  // Join room `room` as a player (or spectator with `spectate`) and
+  // wait until the room state has arrived. Rejects when the server
+  // refuses (full room, name taken, ...).
+  async join(room = 1, { name, spectate = false } = {}) {
+    this.send({
+      type: 'init',
+      name,
+      guest: 'Test',
+      room,
+      protocol: this.binary ? shared.protocol.PROTOCOL_VERSION : 0,
+      spectate,
+    });
+    const reply = await this.next(['matchState', 'error']);
+    if (reply.type === 'error') throw new Error(`Cannot join room ${room}: ${reply.code}`);
+  }
+
+  send(message) {
+    const binary = this.binary && shared.protocol.encodeMessage(message);
+    if (binary) this.sendFrame(OPCODE.binary, Buffer.from(binary));
+    else this.sendFrame(OPCODE.text, Buffer.from(JSON.stringify(message)));
+  }
+
+  sendFrame(opcode, payload, options) {
+    this.sendRaw(encodeFrame(opcode, payload, options));
+  }
+
+  sendRaw(bytes) {
+    if (!this.socket.destroyed) this.socket.write(bytes);
+  }
+
+  // Start the closing handshake; resolves once the server hung up
+  close(code = 1000) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.sendFrame(OPCODE.close, payload);
+    return this.closed;
+  }
+
+  // The first message of `type` (or any of several types) that
+  // `matches`, waiting up to `timeout` ms for it to arrive
+  next(type, matches = () => true, timeout = DEFAULT_TIMEOUT) {
+    const types = [].concat(type);
+    const test = (message) => types.includes(message.type) && matches(message);
+    const index = this.messages.findIndex(test);
+    if (index >= 0) return Promise.resolve(this.messages.splice(index, 1)[0]);
+    return new Promise((resolve, reject) => {
+      const waiter = { test, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for ${types.join(' or ')}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  receive(chunk) {
+    this.bytesReceived += chunk.length;
+    const { frames, rest } = decodeFrames(Buffer.concat([this.buffer, chunk]));
+    this.buffer = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === OPCODE.text) {
+        this.handle(JSON.parse(payload.toString()));
+      } else if (opcode === OPCODE.binary) {
+        this.handle(shared.protocol.decodeMessage(new Uint8Array(payload)));
+      } else if (opcode === OPCODE.ping) {
+        this.sendFrame(OPCODE.pong, payload);
+      } else if (opcode === OPCODE.close) {
+        this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        this.socket.end();
+      }
+    }
+  }
+
+  handle(message) {
+    this.track(message);
+    if (this.onMessage) this.onMessage(message);
+    const waiter = this.waiters.find((w) => w.test(message));
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.waiters.splice(this.waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else if (this.keepMessages) {
+      this.messages.push(message);
+    }
+  }
+
+  track(message) {
+    if (message.type === 'update' && message.id === this.id) {
+      this.state = { ...message.state };
+    } else if (message.type === 'snapshot') {
+      for (const player of message.players) {
+        if (player.id === this.id) Object.assign(this.state || (this.state = {}), player);
+        else this.players.set(player.id, player);
+      }
+    } else if (message.type === 'playerLeft') {
+      this.players.delete(message.id);
+    }
+  }
+}
+
+// The opening handshake. Resolves with the socket and whatever
+// arrived after the response headers; rejects when the server answers
+// with anything but 101.
+function upgrade(url, headers) {
+  const { hostname, port, pathname } = new URL(url);
+  const key = crypto.randomBytes(16).toString('base64');
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname,
+      port,
+      path: pathname,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Protocol': 'fps.v1',
+        ...headers,
+      },
+    });
+    req.on('upgrade', (res, socket, head) => {
+      const accept = crypto
+        .createHash('sha1')
+        .update(key + WS_GUID)
+        .digest('base64');
+      if (res.headers['sec-websocket-accept'] !== accept) {
+        socket.destroy();
+        return reject(new Error('Wrong Sec-WebSocket-Accept'));
+      }
+      resolve({ socket, head });
+    });
+    req.on('response', (res) => {
+      res.resume();
+      reject(new Error(`Upgrade refused with ${res.statusCode}`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = { TestClient };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/*
+ * WebSocket framing from the client's side: frames we send are masked,
+ * frames the server sends are not. lib/websocket.js only implements the
+ * server's half, so the test client brings its own.
+ */
+
+const OPCODE = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// A masked client frame. `length` overrides the length in the header,
+// for frames that lie about their size.
+function encodeFrame(opcode, payload, { fin = true, length = payload.length } = {}) {
+  payload = Buffer.from(payload);
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, 0x80 | length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.alloc(payload.length);
+  for (let i = 0; i < payload.length; i++) masked[i] = payload[i] ^ mask[i % 4];
+  return Buffer.concat([header, mask, masked]);
+}
+
+// Take every complete server frame off the front of `buffer`. Returns
+// { frames: [{ opcode, fin, payload }], rest } with the bytes of an
+// incomplete frame left in `rest`.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let start = offset + 2;
+    if (length === 126) {
+      if (buffer.length < start + 2) break;
+      length = buffer.readUInt16BE(start);
+      start += 2;
+    } else if (length === 127) {
+      if (buffer.length < start + 8) break;
+      length = Number(buffer.readBigUInt64BE(start));
+      start += 8;
+    }
+    if (buffer.length < start + length) break;
+    frames.push({ opcode, fin, payload: buffer.subarray(start, start + length) });
+    offset = start + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+module.exports = { OPCODE, decodeFrames, encodeFrame };
@@ -0,0 +1,75 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Run the real server in a child process for a test, on a free port
+ * and with its own profile and replay files in a temporary directory.
+ * The server's log lines are parsed and kept in `logs`.
+ */
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT = 5000; // ms
+
+function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fps-test-'));
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: '0',
+      LOBBY_BOTS: '0',
+      // Players who disconnect are gone at once
+      RECONNECT_GRACE: '0',
+      PROFILE_FILE: path.join(dir, 'profiles.json'),
+      REPLAY_DIR: path.join(dir, 'replays'),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  const logs = [];
+  let exited = false;
+  const exit = new Promise((resolve) => child.on('exit', resolve));
+  exit.then(() => {
+    exited = true;
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('Server did not start'));
+    }, START_TIMEOUT);
+    exit.then((code) => reject(new Error(`Server exited with ${code}`)));
+    let pending = '';
+    child.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+        logs.push(entry);
+        if (entry.event !== 'listening') continue;
+        clearTimeout(timer);
+        const { port } = entry;
+        resolve({
+          port,
+          url: `ws://localhost:${port}/ws`,
+          httpUrl: `http://localhost:${port}`,
+          logs,
+          pid: child.pid,
+          async stop() {
+            if (!exited) child.kill();
+            await exit;
+            fs.rmSync(dir, { recursive: true, force: true });
+          },
+        });
+      }
+    });
+  });
+}
+
+module.exports = { startServer };
@@ -0,0 +1,170 @@
+const { TestClient } = require('./client');
+
+/*
+ * Load generator: a crowd of headless players.
+ *
+ * Each simulated player joins a room and behaves roughly like a person
+ * at the keyboard: it samples input at INPUT_RATE and sends it in
+ * batches at SEND_RATE like main.js, wanders around changing direction
+ * now and then, and fires at the nearest player it can see in the
+ * snapshots a few times a second.
+ *
+ * Latency is measured from sending an input batch to the `ack` for its
+ * last input, so it includes the wait for the server's next tick.
+ *
+ * Run it against a running server:
+ *
+ *   node test/support/simulator.js --url ws://localhost:8080/ws --players 20 --duration 30
+ */
+
+const INPUT_RATE = 60; // inputs per second
+const SEND_RATE = 30; // input batches per second
+const TURN_INTERVAL = 1; // seconds between changes of direction, on average
+const EYE_HEIGHT = 1.6;
+
+// Options: url, players, duration (s), room, shotsPerSecond.
+// Resolves with what happened once every player has left again.
+async function simulate({ url, players = 10, duration = 10, room = 1, shotsPerSecond = 2 }) {
+  const bots = [];
+  for (let i = 0; i < players; i++) {
+    const client = await TestClient.connect(url);
+    await client.join(room);
+    // From here on only the running totals are kept
+    client.keepMessages = false;
+    client.messages = [];
+    bots.push(createPlayer(client));
+  }
+
+  const latencies = [];
+  let kills = 0;
+  for (const bot of bots) {
+    bot.client.onMessage = (message) => {
+      bot.messages++;
+      // Everyone hears of every kill; count them once
+      if (message.type === 'playerKilled' && bot === bots[0]) kills++;
+      if (message.type !== 'ack') return;
+      const sentAt = bot.sentAt.get(message.seq);
+      if (sentAt === undefined) return;
+      latencies.push(Date.now() - sentAt);
+      bot.sentAt.delete(message.seq);
+    };
+  }
+
+  let step = 0;
+  const stepsPerBatch = Math.round(INPUT_RATE / SEND_RATE);
+  const loop = setInterval(() => {
+    step++;
+    for (const bot of bots) {
+      sampleInput(bot);
+      if (Math.random() < shotsPerSecond / INPUT_RATE) shoot(bot);
+      if (step % stepsPerBatch === 0) sendInputs(bot);
+    }
+  }, 1000 / INPUT_RATE);
+  await new Promise((resolve) => setTimeout(resolve, duration * 1000));
+  clearInterval(loop);
+  await Promise.all(bots.map((bot) => bot.client.close()));
+
+  latencies.sort((a, b) => a - b);
+  const percentile = (p) => {
+    if (latencies.length === 0) return null;
+    return latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))];
+  };
+  const total = (key) => bots.reduce((sum, bot) => sum + bot[key], 0);
+  return {
+    players: bots.length,
+    duration,
+    inputs: total('inputs'),
+    shots: total('shots'),
+    acks: latencies.length,
+    kills,
+    messagesReceived: total('messages'),
+    bytesReceived: bots.reduce((sum, bot) => sum + bot.client.bytesReceived, 0),
+    latency: { p50: percentile(0.5), p95: percentile(0.95), max: percentile(1) },
+  };
+}
+
+function createPlayer(client) {
+  return {
+    client,
+    seq: 0,
+    unsent: [],
+    sentAt: new Map(), // last seq of a batch -> when it was sent
+    yaw: Math.random() * 2 * Math.PI - Math.PI,
+    forward: 1,
+    strafe: 0,
+    inputs: 0,
+    shots: 0,
+    messages: 0,
+  };
+}
+
+function sampleInput(bot) {
+  if (Math.random() < 1 / (TURN_INTERVAL * INPUT_RATE)) {
+    bot.yaw = Math.random() * 2 * Math.PI - Math.PI;
+    bot.forward = Math.random() < 0.8 ? 1 : 0;
+    bot.strafe = Math.floor(Math.random() * 3) - 1;
+  }
+  bot.unsent.push({
+    seq: ++bot.seq,
+    dt: 1 / INPUT_RATE,
+    forward: bot.forward,
+    strafe: bot.strafe,
+    jump: Math.random() < 0.005,
+    crouch: false,
+    slide: false,
+    yaw: bot.yaw,
+    pitch: 0,
+  });
+}
+
+function sendInputs(bot) {
+  if (bot.unsent.length === 0) return;
+  bot.client.send({ type: 'input', inputs: bot.unsent });
+  bot.sentAt.set(bot.seq, Date.now());
+  bot.inputs += bot.unsent.length;
+  bot.unsent = [];
+}
+
+// Fire at the nearest other player, if we know where anyone is
+function shoot(bot) {
+  const { state, players } = bot.client;
+  if (!state) return;
+  let target = null;
+  let nearest = Infinity;
+  for (const other of players.values()) {
+    const distance = Math.hypot(other.x - state.x, other.z - state.z);
+    if (other.health > 0 && distance < nearest) {
+      nearest = distance;
+      target = other;
+    }
+  }
+  if (!target) return;
+  const origin = { x: state.x, y: state.y, z: state.z };
+  const d = { x: target.x - origin.x, y: target.y - EYE_HEIGHT / 2 - origin.y, z: target.z - origin.z };
+  const length = Math.hypot(d.x, d.y, d.z) || 1;
+  const direction = { x: d.x / length, y: d.y / length, z: d.z / length };
+  bot.client.send({ type: 'shoot', origin, direction, firedAt: Date.now() });
+  bot.shots++;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    options[name] = name === 'url' ? argv[i + 1] : Number(argv[i + 1]);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const options = { url: 'ws://localhost:8080/ws', ...parseArgs(process.argv.slice(2)) };
+  simulate(options).then(
+    (result) => console.log(JSON.stringify(result, null, 2)),
+    (err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { simulate };
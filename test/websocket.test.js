@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CLOSE, parseBuffer, sendWS } = require('../lib/websocket');
+const { OPCODE, decodeFrames, encodeFrame } = require('./support/frames');
+
+// Frame encoding and decoding without a network: sendWS writes to a
+// socket that only collects bytes, parseBuffer reads from a bare conn.
+
+function fakeSocket() {
+  return {
+    destroyed: false,
+    writableEnded: false,
+    written: [],
+    write(bytes) {
+      this.written.push(bytes);
+    },
+  };
+}
+
+// Feed `bytes` to parseBuffer in chunks of `chunkSize`, like TCP may
+// deliver them. Returns the frames and the error, if any.
+function parseInChunks(bytes, chunkSize = bytes.length) {
+  const conn = { buffer: Buffer.alloc(0), closed: false };
+  const frames = [];
+  let error = null;
+  for (let i = 0; i < bytes.length && !error; i += chunkSize) {
+    conn.buffer = Buffer.concat([conn.buffer, bytes.subarray(i, i + chunkSize)]);
+    error = parseBuffer(conn, (opcode, fin, payload) => {
+      frames.push({ opcode, fin, payload: Buffer.from(payload) });
+      return null;
+    });
+  }
+  return { frames, error, conn };
+}
+
+test('sendWS picks the length header by payload size', () => {
+  const cases = [
+    [0, 2, 0],
+    [125, 2, 125],
+    [126, 4, 126],
+    [65535, 4, 126],
+    [65536, 10, 127],
+  ];
+  for (const [size, headerSize, lengthByte] of cases) {
+    const socket = fakeSocket();
+    sendWS(socket, 'x'.repeat(size), true);
+    const [bytes] = socket.written;
+    assert.strictEqual(bytes.length, headerSize + size, `${size} bytes`);
+    assert.strictEqual(bytes[0], 0x80 | OPCODE.text);
+    assert.strictEqual(bytes[1], lengthByte, `${size} bytes`);
+    const { frames, rest } = decodeFrames(bytes);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(frames[0].payload.length, size);
+    assert.strictEqual(rest.length, 0);
+  }
+});
+
+test('sendWS sends objects as JSON text and byte arrays as binary', () => {
+  const socket = fakeSocket();
+  sendWS(socket, { type: 'hello' });
+  // A view into a larger buffer: only the viewed bytes go out
+  sendWS(socket, new Uint8Array([9, 1, 2, 3, 9]).subarray(1, 4));
+  const { frames } = decodeFrames(Buffer.concat(socket.written));
+  assert.strictEqual(frames[0].opcode, OPCODE.text);
+  assert.deepStrictEqual(JSON.parse(frames[0].payload), { type: 'hello' });
+  assert.strictEqual(frames[1].opcode, OPCODE.binary);
+  assert.deepStrictEqual([...frames[1].payload], [1, 2, 3]);
+});
+
+test('sendWS ignores sockets that are closing', () => {
+  const socket = fakeSocket();
+  socket.writableEnded = true;
+  sendWS(socket, { type: 'hello' });
+  assert.strictEqual(socket.written.length, 0);
+});
+
+test('parseBuffer unmasks frames of every length header', () => {
+  for (const size of [0, 125, 126, 65535, 65536]) {
+    const payload = Buffer.alloc(size, 'a');
+    const { frames, error } = parseInChunks(encodeFrame(OPCODE.text, payload));
+    assert.strictEqual(error, null, `${size} bytes`);
+    assert.strictEqual(frames.length, 1);
+    assert.ok(frames[0].payload.equals(payload), `${size} bytes`);
+  }
+});
+
+test('parseBuffer waits for frames split across chunks', () => {
+  const text = Buffer.from('x'.repeat(300)); // 16-bit length header
+  const bytes = Buffer.concat([encodeFrame(OPCODE.text, text), encodeFrame(OPCODE.binary, Buffer.from([1, 2]))]);
+  // One byte at a time splits every header, mask and payload
+  for (const chunkSize of [1, 3, 7, bytes.length]) {
+    const { frames, error, conn } = parseInChunks(bytes, chunkSize);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(
+      frames.map((f) => f.opcode),
+      [OPCODE.text, OPCODE.binary],
+      `chunks of ${chunkSize}`
+    );
+    assert.ok(frames[0].payload.equals(text));
+    assert.strictEqual(conn.buffer.length, 0);
+  }
+});
+
+test('parseBuffer keeps an incomplete 64-bit length header', () => {
+  const bytes = encodeFrame(OPCODE.binary, Buffer.alloc(65536));
+  const { frames, error, conn } = parseInChunks(bytes.subarray(0, 6));
+  assert.strictEqual(error, null);
+  assert.strictEqual(frames.length, 0);
+  assert.strictEqual(conn.buffer.length, 6);
+});
+
+test('parseBuffer hands over fragments as they are', () => {
+  const bytes = Buffer.concat([
+    encodeFrame(OPCODE.text, Buffer.from('he'), { fin: false }),
+    encodeFrame(OPCODE.continuation, Buffer.from('llo')),
+  ]);
+  const { frames } = parseInChunks(bytes);
+  assert.deepStrictEqual(
+    frames.map((f) => [f.opcode, f.fin, f.payload.toString()]),
+    [
+      [OPCODE.text, false, 'he'],
+      [OPCODE.continuation, true, 'llo'],
+    ]
+  );
+});
+
+test('parseBuffer refuses frames larger than 64 KiB from the header alone', () => {
+  const header = encodeFrame(OPCODE.binary, Buffer.alloc(0), { length: 65537 });
+  const { error } = parseInChunks(header);
+  assert.strictEqual(error.code, CLOSE.tooBig);
+});
+
+test('parseBuffer refuses unmasked frames and extension bits', () => {
+  const unmasked = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+  assert.strictEqual(parseInChunks(unmasked).error.code, CLOSE.protocolError);
+  const rsv = encodeFrame(OPCODE.text, Buffer.from('hi'));
+  rsv[0] |= 0x40;
+  assert.strictEqual(parseInChunks(rsv).error.code, CLOSE.protocolError);
+});